@@ -0,0 +1,152 @@
+'use strict';
+// advisor.js — Draw/discard advisor for a Quiddler turn
+// Answers: take the face-up discard or draw blind, and which card to throw?
+// Model:
+// - A turn keeps the hand size: draw one card, then discard one.
+// - Each choice is valued by the best play the resulting hand could lay down (optimizer.solveTokens):
+//     • Take face-up, throw X: exact — hand = rack + face-up − X, every card left over counts against you.
+//     • Draw blind: Monte Carlo — sample the drawn card from the unseen cards, then throw whichever card
+//       leaves the best play. Solves are memoized per drawn tile, so extra samples are cheap.
+// - Unseen cards = deck counts (decks.js; the game's deck) − rack − face-up card − known discards.
+// adviseDraw is the synchronous core (runs in solver_worker.js); startAdvise is the page-side entry point.
+
+const ADVISOR_DEFAULT_SAMPLES = 200;
+
+// Unseen card counts after removing every card we know the location of
+function buildUnseenPool(seenTiles, deckCounts = resolveDeck().counts) {
+  const counts = Object.assign(Object.create(null), deckCounts);
+  for (const t of seenTiles) {
+    if (counts[t] > 0) counts[t]--;
+  }
+  let total = 0;
+  for (const c of Object.values(counts)) total += c;
+  return { counts, total };
+}
+
+// Draw one tile from the pool, weighted by remaining copies (pool is not modified)
+function sampleTile(pool, rand = Math.random) {
+  let r = rand() * pool.total;
+  for (const [t, c] of Object.entries(pool.counts)) {
+    if (r < c) return t;
+    r -= c;
+  }
+  return null;
+}
+
+// Copy of tiles with one occurrence of `tile` removed
+function withoutOne(tiles, tile) {
+  const i = tiles.indexOf(tile);
+  return i === -1 ? tiles.slice() : [...tiles.slice(0, i), ...tiles.slice(i + 1)];
+}
+
+function adviseDraw(params, { onProgress = null, shouldStop = null } = {}) {
+  // params:
+  // - rack: current hand before drawing, e.g. "(qu)ick(er)"
+  // - faceUp: the single face-up discard, e.g. "(th)" or "e"
+  // - knownDiscards: cards known to be out of the draw pile (discard pile history), same notation
+  // - samples: Monte Carlo draws for the blind option
+  // - remaining keys are solver options forwarded to solveTokens (thresholds, bonuses, common filter…)
+  // Returns { choices[], unseen:{ total, counts }, samples }, choices sorted by expected score (best first).
+  // shouldStop is handed to every solve (see solveTokens), so a cancelled run stops mid-search.
+  const {
+    rack: rackText = '',
+    faceUp: faceUpText = '',
+    knownDiscards = '',
+    samples = ADVISOR_DEFAULT_SAMPLES,
+    deck: deckParam = null,
+    ...rest
+  } = params || {};
+  // Normalize the deck once; every solve below reuses it
+  const deck = resolveDeck(deckParam);
+  const solveOpts = { ...rest, deck };
+  if (!deck.counts) throw new Error(`Deck "${deck.name}" has no card counts; the advisor needs them to model the draw pile.`);
+
+  const rack = parseCards(String(rackText)).map(normalizeToken);
+  const faceUpTokens = parseCards(String(faceUpText)).map(normalizeToken);
+  const discards = parseCards(String(knownDiscards)).map(normalizeToken);
+  if (!rack.length) throw new Error('Enter your hand first.');
+  if (faceUpTokens.length !== 1) throw new Error('Enter exactly one face-up card (digraphs in parentheses).');
+  const faceUp = faceUpTokens[0];
+  assertRackPossible([...rack, faceUp], 'Hand plus face-up card', deck);
+  assertRackPossible([...rack, faceUp, ...discards], 'Set of known cards', deck);
+
+  const pool = buildUnseenPool([...rack, faceUp, ...discards], deck.counts);
+  const throwOptions = Array.from(new Set(rack));
+  const sampleCount = pool.total > 0 ? Math.max(1, Math.floor(samples)) : 0;
+  const totalSteps = throwOptions.length + sampleCount;
+  let done = 0;
+  const step = () => { done++; onProgress?.({ phase: 'advise', done, total: totalSteps }); };
+
+  const choices = [];
+
+  // Take the face-up card: exact value for each card we could throw
+  const withFaceUp = [...rack, faceUp];
+  for (const discard of throwOptions) {
+    const play = solveTokens(withoutOne(withFaceUp, discard), { ...solveOpts, noDiscard: true, topN: 1, goOutMode: false }, { shouldStop });
+    choices.push({
+      source: 'faceUp',
+      take: faceUp,
+      discard,
+      expected: play.totalScore,
+      goOutChance: play.goesOut ? 1 : 0,
+      play,
+    });
+    step();
+  }
+
+  // Draw blind: sample the unseen pile, best discard chosen after seeing the card
+  if (sampleCount) {
+    const memo = Object.create(null);
+    const drawn = Object.create(null);
+    let sum = 0, sumSq = 0, goOuts = 0;
+    const discardTally = Object.create(null);
+    for (let i = 0; i < sampleCount; i++) {
+      const tile = sampleTile(pool);
+      const play = memo[tile] ??= solveTokens([...rack, tile], { ...solveOpts, noDiscard: false, topN: 1, goOutMode: false }, { shouldStop });
+      drawn[tile] = (drawn[tile] || 0) + 1;
+      sum += play.totalScore;
+      sumSq += play.totalScore * play.totalScore;
+      if (play.goesOut) goOuts++;
+      if (play.discardTile) discardTally[play.discardTile] = (discardTally[play.discardTile] || 0) + 1;
+      step();
+    }
+    const mean = sum / sampleCount;
+    const variance = Math.max(0, sumSq / sampleCount - mean * mean);
+    choices.push({
+      source: 'blind',
+      expected: mean,
+      stdErr: Math.sqrt(variance / sampleCount),
+      goOutChance: goOuts / sampleCount,
+      samples: sampleCount,
+      discardOdds: Object.entries(discardTally)
+        .map(([tile, n]) => ({ tile, p: n / sampleCount }))
+        .sort((a, b) => b.p - a.p),
+      draws: Object.entries(drawn)
+        .map(([tile, n]) => ({ tile, p: n / sampleCount, score: memo[tile].totalScore, goesOut: memo[tile].goesOut }))
+        .sort((a, b) => b.score - a.score || b.p - a.p),
+    });
+  }
+
+  choices.sort((a, b) => b.expected - a.expected);
+  return { choices, unseen: { total: pool.total, counts: pool.counts }, samples: sampleCount };
+}
+
+/**
+ * Run adviseDraw against the solver worker (see optimizer.startSolve for the worker client).
+ * Returns { promise, cancel }; a cancelled promise rejects with an Error whose `cancelled` is true.
+ */
+function startAdvise(params, { onProgress = null } = {}) {
+  const { id, promise } = postJob('advise', { ...solverDefaults(), ...params }, onProgress);
+  return {
+    promise,
+    cancel() { cancelSolve(id); },
+  };
+}
+
+if (typeof window !== 'undefined') {
+  window.QuiddlerSolver = Object.assign({}, window.QuiddlerSolver || {}, {
+    adviseDraw,
+    startAdvise,
+    buildUnseenPool,
+  });
+}
@@ -1,7 +1,8 @@
-// Quiddler card point values.
+// Quiddler card point values (standard edition).
 // - Keys are case-insensitive single letters or multi-letter digraph tiles.
 // - Values are the points each tile contributes to a word's score.
-// - This is the single source of truth for scoring across the app (scoring.js, render.js, optimizer.js).
+// - These tables back the built-in 'standard' deck in decks.js. Scoring, rendering and the solver read the
+//   active deck from there (other editions and house-rule decks can be registered alongside it).
 //
 // Notes:
 // - Digraphs are special tiles consisting of 2 letters that must be used as a unit in play, e.g., "qu", "th".
@@ -42,13 +43,50 @@ const cardScores = {
     'th':9,
 };
 
-// Convenience: set of all digraph tile keys derived from cardScores.
-// Used by:
-// - optimizer.countRack: to split a rack into singles vs. digraph counts.
-// - scoring.parseCards + render helpers: to display digraphs as (qu), etc.
+// Standard deck composition: number of copies of each card (118 cards in total).
+// Same keys as cardScores. Used by:
+// - advisor.js: to model the unseen cards left in the draw pile.
+// - scoring.deckOveruse: round validation (render.buildRowValidationIssues) and solver rack checks.
+const cardCounts = {
+    'a':10,
+    'b':2,
+    'c':2,
+    'd':4,
+    'e':12,
+    'f':2,
+    'g':4,
+    'h':2,
+    'i':8,
+    'j':2,
+    'k':2,
+    'l':4,
+    'm':2,
+    'n':6,
+    'o':8,
+    'p':2,
+    'q':2,
+    'r':6,
+    's':4,
+    't':6,
+    'u':6,
+    'v':2,
+    'w':2,
+    'x':2,
+    'y':4,
+    'z':2,
+    // Digraph tiles
+    'cl':2,
+    'er':2,
+    'in':2,
+    'qu':2,
+    'th':2,
+};
+
+// Convenience: set of all digraph tile keys derived from cardScores (standard deck only;
+// deck-aware code uses deck.digraphs from decks.js).
 const DIGRAPHS = new Set(Object.keys(cardScores).filter(w => w.length > 1));
 
 // Expose for debugging/inspection in the browser console
 if (typeof window !== 'undefined') {
-  window.QuiddlerData = Object.assign({}, window.QuiddlerData || {}, { cardScores, DIGRAPHS });
+  window.QuiddlerData = Object.assign({}, window.QuiddlerData || {}, { cardScores, cardCounts, DIGRAPHS });
 }
\ No newline at end of file
@@ -13,6 +13,8 @@
 //   parseCollinsEntry(word) -> { word, raw, qualifiers[], pos, inflections[], senses[], variants[], aka[], errors[] }
 //   parseCollinsRaw(raw)    -> same minus word
 //   renderParsedCollins(parsed) -> HTML string
+//   qualifierExclusion(word, excluded) -> matched qualifiers[] when every sense carries an excluded qualifier, else null
+//   qualifierExcludedWords(excluded) -> Set of every such word (for the solver trie)
 //
 // NOTE: This is heuristic; Collins concise entries use varied shorthand. We intentionally keep it tolerant.
 
@@ -201,8 +203,49 @@ function renderParsedCollins(parsed){
   return `<div class="border border-gray-100 rounded-md p-3">${headHtml}${blocks}</div>`;
 }
 
+// ---------- Qualifier exclusions (game rules: excludeQualifiers) ----------
+// A sense's qualifier groups split into single labels: "(Scots, obsolete)" → ['scots', 'obsolete']
+function senseQualifiers(ent){
+  return (ent.qualifiers || []).flatMap(q => String(q).toLowerCase().split(/\s*[,;]\s*|\s+or\s+/)).map(q => q.trim()).filter(Boolean);
+}
+
+// Words are excluded only when they have senses and every one carries an excluded qualifier
+// (e.g. a word that is both obsolete and current stays valid). Returns the matched qualifiers or null.
+function qualifierExclusionRaw(raw, excluded){
+  if (!raw || !excluded || !excluded.length || raw.indexOf('(') < 0) return null;
+  const entries = parseCollinsRaw(raw).entries;
+  if (!entries.length) return null;
+  const matched = new Set();
+  for (const ent of entries){
+    const hits = senseQualifiers(ent).filter(q => excluded.includes(q));
+    if (!hits.length) return null;
+    hits.forEach(q => matched.add(q));
+  }
+  return Array.from(matched);
+}
+function qualifierExclusion(word, excluded){
+  const val = (typeof validWordsMap !== 'undefined' && validWordsMap[String(word||'').toUpperCase()]) || null;
+  return qualifierExclusionRaw(val, excluded);
+}
+
+// Every excluded Collins word, cached per exclusion list (scanning the dictionary takes a moment)
+let qualifierExcludedCache = { key: null, words: null };
+function qualifierExcludedWords(excluded){
+  const key = (excluded || []).join('|');
+  if (qualifierExcludedCache.key !== key){
+    const words = new Set();
+    if (key && typeof validWordsMap !== 'undefined'){
+      for (const [w, raw] of Object.entries(validWordsMap)){
+        if (qualifierExclusionRaw(raw, excluded)) words.add(w);
+      }
+    }
+    qualifierExcludedCache = { key, words };
+  }
+  return qualifierExcludedCache.words;
+}
+
 // Expose API globally (no IIFE wrapper needed)
-const CollinsParsing = { parseCollinsRaw, parseCollinsEntry, renderParsedCollins };
+const CollinsParsing = { parseCollinsRaw, parseCollinsEntry, renderParsedCollins, qualifierExclusion, qualifierExcludedWords };
 if (typeof window !== 'undefined') {
   window.CollinsParsing = CollinsParsing;
   window.parseCollins = parseCollinsEntry;
@@ -0,0 +1,162 @@
+'use strict';
+// decks.js — Registry of deck editions (point values, digraph tiles, card counts)
+// - The built-in 'standard' deck is card_scores.js (cardScores + cardCounts).
+// - Custom decks (house rules, other languages) are registered from JSON and persisted in localStorage.
+// - One deck is active per game (game.js sets it at start/restore); scoring.js, optimizer.js, advisor.js and
+//   render.js read it through activeDeck() unless a deck is passed explicitly (the solver worker receives
+//   the game's deck definition with every job, see optimizer.solverDefaults).
+//
+// Deck definition (JSON shape, also what is saved with a game):
+//   { id: 'house', name: 'House rules', scores: { a:2, ..., th:9 }, counts?: { a:10, ... } }
+// - Keys are single letters or multi-letter tiles (any length > 1 is a digraph-style tile).
+// - counts is optional; without it deck-size checks and the draw advisor are unavailable.
+
+const CUSTOM_DECKS_STORAGE_KEY = 'quiddlerCustomDecksV1';
+const STANDARD_DECK_ID = 'standard';
+
+// Validate a deck definition and derive lookup helpers. Throws Error with a user-facing message.
+function normalizeDeck(def) {
+  if (!def || typeof def !== 'object') throw new Error('Deck must be a JSON object.');
+  const id = String(def.id || '').trim();
+  if (!/^[a-z0-9_-]+$/i.test(id)) throw new Error('Deck "id" must use letters, digits, "-" or "_".');
+  const name = String(def.name || id).trim();
+
+  const scores = {};
+  for (const [rawKey, rawVal] of Object.entries(def.scores || {})) {
+    const key = String(rawKey).trim().toLowerCase();
+    if (!/^\p{L}+$/u.test(key)) throw new Error(`Deck "${id}": invalid card "${rawKey}".`);
+    const val = Number(rawVal);
+    if (!Number.isFinite(val) || val < 0) throw new Error(`Deck "${id}": points for "${rawKey}" must be a number ≥ 0.`);
+    scores[key] = val;
+  }
+  if (!Object.keys(scores).length) throw new Error(`Deck "${id}" has no cards in "scores".`);
+
+  let counts = null;
+  if (def.counts != null) {
+    counts = {};
+    for (const [rawKey, rawVal] of Object.entries(def.counts)) {
+      const key = String(rawKey).trim().toLowerCase();
+      if (!(key in scores)) throw new Error(`Deck "${id}": count given for unknown card "${rawKey}".`);
+      const n = Number(rawVal);
+      if (!Number.isInteger(n) || n < 0) throw new Error(`Deck "${id}": count for "${rawKey}" must be a whole number ≥ 0.`);
+      counts[key] = n;
+    }
+  }
+
+  const digraphs = new Set(Object.keys(scores).filter(k => k.length > 1));
+  const size = counts ? Object.values(counts).reduce((a, b) => a + b, 0) : null;
+  return { id, name, scores, counts, digraphs, size, builtIn: !!def.builtIn };
+}
+
+// Plain JSON definition of a deck (for storage, game saves, and worker messages)
+function deckDefinition(deck) {
+  const def = { id: deck.id, name: deck.name, scores: { ...deck.scores } };
+  if (deck.counts) def.counts = { ...deck.counts };
+  return def;
+}
+
+const DECKS = new Map();
+DECKS.set(STANDARD_DECK_ID, normalizeDeck({
+  id: STANDARD_DECK_ID,
+  name: 'Standard',
+  scores: cardScores,
+  counts: cardCounts,
+  builtIn: true,
+}));
+
+let activeDeckRef = DECKS.get(STANDARD_DECK_ID);
+
+function getDeck(id) {
+  return DECKS.get(id) || null;
+}
+function listDecks() {
+  return Array.from(DECKS.values());
+}
+function activeDeck() {
+  return activeDeckRef;
+}
+// Accepts a registered id, a normalized deck, or a deck definition (e.g. restored from a saved game)
+function setActiveDeck(deckOrId) {
+  activeDeckRef = resolveDeck(deckOrId);
+  return activeDeckRef;
+}
+// Deck for an optional id/definition argument, defaulting to the active deck
+function resolveDeck(deckOrId) {
+  if (!deckOrId) return activeDeckRef;
+  if (typeof deckOrId === 'string') return getDeck(deckOrId) || activeDeckRef;
+  if (deckOrId.digraphs instanceof Set) return deckOrId;
+  return normalizeDeck(deckOrId);
+}
+
+// ---------- Custom decks (persisted) ----------
+function loadCustomDecks() {
+  if (typeof localStorage === 'undefined') return;
+  try {
+    const raw = localStorage.getItem(CUSTOM_DECKS_STORAGE_KEY);
+    const list = raw ? JSON.parse(raw) : [];
+    (Array.isArray(list) ? list : []).forEach(def => {
+      try {
+        const deck = normalizeDeck({ ...def, builtIn: false });
+        if (!DECKS.get(deck.id)?.builtIn) DECKS.set(deck.id, deck);
+      } catch (e) {
+        console.warn('Skipping invalid custom deck', e);
+      }
+    });
+  } catch (e) {
+    console.warn('Custom deck load failed', e);
+  }
+}
+function persistCustomDecks() {
+  if (typeof localStorage === 'undefined') return;
+  try {
+    const defs = listDecks().filter(d => !d.builtIn).map(deckDefinition);
+    localStorage.setItem(CUSTOM_DECKS_STORAGE_KEY, JSON.stringify(defs));
+  } catch {}
+}
+// Add or replace a custom deck; built-in decks cannot be overwritten. Returns the normalized deck.
+function registerDeck(def) {
+  const deck = normalizeDeck({ ...def, builtIn: false });
+  if (DECKS.get(deck.id)?.builtIn) throw new Error(`"${deck.id}" is a built-in deck; pick another id.`);
+  DECKS.set(deck.id, deck);
+  persistCustomDecks();
+  return deck;
+}
+function removeDeck(id) {
+  const deck = DECKS.get(id);
+  if (!deck || deck.builtIn) return false;
+  DECKS.delete(id);
+  if (activeDeckRef === deck) activeDeckRef = DECKS.get(STANDARD_DECK_ID);
+  persistCustomDecks();
+  return true;
+}
+
+// ---------- Ids for named custom entries ----------
+// Rule presets (rules.js), word lists (word_lists.js) and online dictionaries (dictionary_providers.js) are
+// keyed by their name, so saving under the same name replaces the entry. Letters and digits of any script are
+// kept ("Ταβέρνα" → 'custom-ταβέρνα'); a name with none (e.g. "!!!") gets a hash of the name instead, so two
+// such names never share an id.
+function customEntryId(label) {
+  const slug = String(label).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '');
+  if (slug) return 'custom-' + slug;
+  return 'custom-' + fnv1aHash(label);
+}
+// FNV-1a over the text's code points, base 36 (short ids and content versions, not security)
+function fnv1aHash(text) {
+  let hash = 0x811c9dc5;
+  for (const ch of String(text)) hash = Math.imul(hash ^ ch.codePointAt(0), 0x01000193) >>> 0;
+  return hash.toString(36);
+}
+
+loadCustomDecks();
+
+if (typeof window !== 'undefined') {
+  window.QuiddlerData = Object.assign({}, window.QuiddlerData || {}, {
+    getDeck,
+    listDecks,
+    activeDeck,
+    setActiveDeck,
+    registerDeck,
+    removeDeck,
+    deckDefinition,
+  });
+}
@@ -3,12 +3,16 @@
 // dictionary_api.js
 // Helpers to look up definitions for a word:
 // - getWordDefinitionLocal(word): case-insensitive lookup from collins_dictionary.js (validWordsMap)
-// - getWordDefinitionAPI(word): fetch from Free Dictionary API and RETURN { found, error, data }
+// - getWordDefinitionAPI(word): look up with the active online provider (dictionary_providers.js), cache first,
+//   and RETURN { found, error, data, entries, cached } (entries: normalized definitions)
 // - renderOnlineDict(word, apiJson): build pretty grouped HTML for parts of speech/senses
 //
 // Notes:
 // - Rendering is handled by renderOnlineDict; do not assign the API JSON directly to innerHTML.
-// - A simple AbortController timeout prevents long-hanging network requests.
+// - Providers time out long-hanging network requests (fetchDictionaryJSON).
+// - The validity cache below is shared by all providers; keys carry the provider (dictionaryCacheKey). It is kept
+//   in memory for synchronous checks and persisted in IndexedDB with the definitions (dictionary_cache.js), or in
+//   localStorage (validity only) when IndexedDB is unavailable.
 // - Callers should pass raw chit text; helper strips parentheses and whitespace.
 
 // Local lookup (case-insensitive via UPPER)
@@ -33,7 +37,7 @@ const FD_STATUS_TS = (typeof window !== 'undefined' && window.__FDStatusTS)
   : Object.create(null);
 if (typeof window !== 'undefined') window.__FDStatusTS = FD_STATUS_TS;
 
-const FD_CACHE_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const FD_CACHE_TTL_MS = DICT_CACHE_TTL_MS;
 
 const FD_CACHE_STORAGE_KEY = 'quiddlerFDCacheV1';
 const GAME_STORAGE_KEY = 'quiddlerGameStateV1';
@@ -117,14 +121,18 @@ function persistIndependentFDCache(limit = 2000) {
     // Silently ignore quota / stringify errors
   }
 }
-// Override previous persistence throttle to use independent key only.
+// Keys touched since the last persist; written to IndexedDB, or the whole cache to localStorage without it
+const FD_DIRTY = new Set();
 let __fdPersistTimer = null;
 function scheduleFDCachePersist() {
   if (typeof window === 'undefined') return;
   if (__fdPersistTimer) return;
-  __fdPersistTimer = setTimeout(() => {
+  __fdPersistTimer = setTimeout(async () => {
     __fdPersistTimer = null;
-    persistIndependentFDCache();
+    const items = Array.from(FD_DIRTY).filter(k => typeof FD_STATUS_CACHE[k] === 'boolean').map(key => ({ key, valid: FD_STATUS_CACHE[key] }));
+    FD_DIRTY.clear();
+    if (await openDictCacheDB()) dictCacheTouch(items);
+    else persistIndependentFDCache();
   }, 400);
 }
 // Allow manual clearing
@@ -135,7 +143,8 @@ function clearFDCache() {
     Object.keys(FD_STATUS_TS).forEach(k => delete FD_STATUS_TS[k]);
     FD_STATUS_SEQ = 0;
     if (typeof window !== 'undefined') window.__FDStatusSeq = 0;
-    persistIndependentFDCache();
+    FD_DIRTY.clear();
+    openDictCacheDB().then(db => (db ? clearDictCache() : persistIndependentFDCache()));
   } catch {}
 }
 if (typeof window !== 'undefined') window.clearFDCache = clearFDCache;
@@ -143,6 +152,32 @@ if (typeof window !== 'undefined') window.clearFDCache = clearFDCache;
 // Initialize independent cache at script load
 try { loadIndependentFDCache(); } catch {}
 
+// Fill the in-memory validity cache from IndexedDB (least recently used first, so the LRU order carries over).
+// A localStorage cache from before IndexedDB is moved over once.
+async function loadFDCacheFromDB() {
+  try {
+    if (!(await openDictCacheDB())) return;
+    const now = Date.now();
+    const records = (await dictCacheAll()).filter(r => !dictCacheExpired(r, now)).sort((a, b) => a.usedAt - b.usedAt);
+    const stored = new Set(records.map(r => r.key));
+    const legacy = Object.keys(FD_STATUS_CACHE).filter(k => typeof FD_STATUS_CACHE[k] === 'boolean' && !stored.has(k));
+    records.forEach(r => {
+      FD_STATUS_CACHE[r.key] = r.valid;
+      FD_STATUS_LRU[r.key] = ++FD_STATUS_SEQ;
+      FD_STATUS_TS[r.key] = r.fetchedAt;
+    });
+    if (typeof window !== 'undefined') window.__FDStatusSeq = FD_STATUS_SEQ;
+    if (typeof localStorage !== 'undefined' && localStorage.getItem(FD_CACHE_STORAGE_KEY) != null) {
+      await dictCacheTouch(legacy.map(key => ({ key, valid: FD_STATUS_CACHE[key] })));
+      localStorage.removeItem(FD_CACHE_STORAGE_KEY);
+    }
+    evictDictCache();
+  } catch (e) {
+    console.warn('Dictionary cache load failed', e);
+  }
+}
+const FD_CACHE_READY = loadFDCacheFromDB();
+
 function touchFD(key) {
   // Sync forward if external sequence advanced (e.g., after state restore)
   if (typeof window !== 'undefined' && typeof window.__FDStatusSeq === 'number' && window.__FDStatusSeq > FD_STATUS_SEQ) {
@@ -151,6 +186,7 @@ function touchFD(key) {
   FD_STATUS_LRU[key] = ++FD_STATUS_SEQ;
   FD_STATUS_TS[key] = Date.now();
   if (typeof window !== 'undefined') window.__FDStatusSeq = FD_STATUS_SEQ;
+  FD_DIRTY.add(key);
   scheduleFDCachePersist();
 }
 function syncFDSeq() {
@@ -169,7 +205,7 @@ function setFDStatus(key, val) {
   maybePruneFD();
 }
 // Prune oldest boolean entries to cap size.
-function maybePruneFD(limit = 2000, buffer = 50) {
+function maybePruneFD(limit = DICT_CACHE_MAX_ENTRIES, buffer = 50) {
   try {
     const keys = Object.keys(FD_STATUS_CACHE).filter(k => typeof FD_STATUS_CACHE[k] === 'boolean');
     if (keys.length <= limit + buffer) return;
@@ -192,38 +228,41 @@ if (typeof window !== 'undefined') {
   if (window.__FDStatusSeq == null) window.__FDStatusSeq = FD_STATUS_SEQ;
 }
 
-// Unified: getWordDefinitionAPI returns { found, error, data } 
+// Unified: getWordDefinitionAPI returns { found, error, data, entries, cached }
+// - entries: normalized definitions (renderOnlineDict's shape); data: the provider's raw response (null when the
+//   answer came from the cache, so repeat lookups work offline)
 // Also seeds FD_STATUS_CACHE (boolean) so optimizer/game benefit from drawer lookups.
-async function getWordDefinitionAPI(word) {
+async function getWordDefinitionAPI(word, provider = activeDictionaryProvider()) {
   const wRaw = String(word || '').trim();
-  if (!wRaw) return { found:false, error:false, data:null };
+  if (!wRaw) return { found:false, error:false, data:null, entries:null, cached:false };
   const w = wRaw.toLowerCase();
-  const upper = w.toUpperCase();
-  const url = `https://api.dictionaryapi.dev/api/v2/entries/en/${encodeURIComponent(w)}`;
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), 8000);
+  const key = dictionaryCacheKey(w.toUpperCase(), provider);
+  await FD_CACHE_READY;
+  const rec = await dictCacheGet(key);
+  if (rec && (!rec.valid || rec.entries)) {
+    dictCacheCounters.hits++;
+    setFDStatus(key, rec.valid);
+    return { found: rec.valid, error:false, data:null, entries: rec.entries, cached:true };
+  }
+  dictCacheCounters.misses++;
   try {
-    const response = await fetch(url, { signal: controller.signal });
-    if (!response.ok) {
-      if (response.status === 404) {
-        setFDStatus(upper, false); // definitive miss
-        return { found:false, error:false, data:null };
-      }
-      return { found:false, error:true, data:null }; // transient
-    }
-    const json = await response.json();
-    const ok = Array.isArray(json) && json.length > 0;
-    setFDStatus(upper, ok); // seed boolean cache with touch
-    return { found: ok, error:false, data: ok ? json : null };
+    const format = DICTIONARY_FORMATS[provider.format];
+    const { status, data } = await format.lookup(provider, w);
+    if (status === 'error') return { found:false, error:true, data:null, entries:null, cached:false }; // transient; do not seed cache
+    const found = status === 'found';
+    const entries = found ? format.normalize(data, w) : null;
+    dictCachePutAll([dictCacheRecord(key, found, entries)]);
+    setFDStatus(key, found); // definitive hit or miss
+    return { found, error:false, data: found ? data : null, entries, cached:false };
   } catch {
-    return { found:false, error:true, data:null }; // do not seed cache on error
-  } finally {
-    clearTimeout(timeoutId);
+    return { found:false, error:true, data:null, entries:null, cached:false };
   }
 }
 
 // Batch API validation (moved back from game.js)
-// Accepts display word forms, returns { validPlain:Set<string>, invalidPlain:Set<string> }
+// Accepts display word forms, returns { validPlain:Set<string>, invalidPlain:Set<string>, unreachablePlain:Set<string> }
+// Words the provider could not be asked about count as valid (plays are not penalized) and are also listed in
+// unreachablePlain; like getWordDefinitionAPI's errors they are not cached, so the next check asks again.
 async function validateWordAPIBatch(displayWords) {
   const toFetch = [];
   const inFlight = [];
@@ -233,39 +272,48 @@ async function validateWordAPIBatch(displayWords) {
     return String(dw || '')
       .replace(/\([^)]*\)/g, (m) => m.replace(/[()]/g,''))
       .replace(/[()]/g,'')
-      .replace(/[^a-z]/gi,'')
+      .replace(/[^\p{L}]/gu,'')
       .toLowerCase();
   }
 
   const sharedCache = (typeof window !== 'undefined' && window.__FDStatusCache) ? window.__FDStatusCache : (globalThis.__FDStatusCache ||= Object.create(null));
 
+  const provider = activeDictionaryProvider();
+  const cacheKey = pw => dictionaryCacheKey(pw.toUpperCase(), provider);
+  await FD_CACHE_READY;
+
   for (const dw of (displayWords || [])) {
     const pw = displayToPlain(dw);
     if (!pw) continue;
-    const key = pw.toUpperCase();
+    const key = cacheKey(pw);
     plainList.push(pw);
+    if (typeof houseRuling === 'function' && houseRuling(pw)) continue; // decided below, no lookup needed
     const val = sharedCache[key];
+    if (typeof val === 'boolean') dictCacheCounters.hits++;
     if (val == null) {
       toFetch.push(pw);
     } else if (val && typeof val.then === 'function') {
-      inFlight.push(val.then(v => { sharedCache[key] = v; }));
+      inFlight.push(val.then(v => { if (typeof v === 'boolean') sharedCache[key] = v; }));
     }
   }
 
   if (toFetch.length) {
     const fetchPromises = toFetch.map(async pw => {
-      const key = pw.toUpperCase();
+      const key = cacheKey(pw);
       const prom = (async () => {
         try {
-          const { error, found } = await getWordDefinitionAPI(pw);
-          if (error) return true; // treat network error as usable (do not penalize plays)
-          return !!found;
-        } catch { return true; }
+          const { error, found } = await getWordDefinitionAPI(pw, provider);
+          return error ? null : !!found; // null: provider unreachable (transient; do not seed cache)
+        } catch { return null; }
       })();
       sharedCache[key] = prom;
       const resolved = await prom;
-      sharedCache[key] = resolved;
-      if (typeof resolved === 'boolean') touchFD(key);
+      if (typeof resolved === 'boolean') {
+        sharedCache[key] = resolved;
+        touchFD(key);
+      } else if (sharedCache[key] === prom) {
+        delete sharedCache[key];
+      }
     });
     await Promise.all(fetchPromises);
   }
@@ -273,12 +321,17 @@ async function validateWordAPIBatch(displayWords) {
 
   const validPlain = new Set();
   const invalidPlain = new Set();
+  const unreachablePlain = new Set();
   for (const pw of plainList) {
-    const key = pw.toUpperCase();
+    const key = cacheKey(pw);
+    // House rulings (house_words.js) beat the online dictionary, e.g. a house-allowed word it doesn't know
+    const ruling = (typeof houseRuling === 'function') ? houseRuling(pw) : null;
+    if (ruling) { (ruling.ruling === 'allow' ? validPlain : invalidPlain).add(pw); continue; }
     const v = sharedCache[key];
+    if (typeof v !== 'boolean') unreachablePlain.add(pw);
     if (typeof v === 'boolean' ? v : true) validPlain.add(pw); else invalidPlain.add(pw);
   }
-  return { validPlain, invalidPlain };
+  return { validPlain, invalidPlain, unreachablePlain };
 }
 
 // ---------- utils ----------
@@ -433,12 +486,13 @@ function chip(word, isAnt=false) {
   return `
     <button type="button"
             class="${baseClasses} hover:brightness-95"
-            onclick="window.QuiddlerTools?.showDict?.('${wEsc}')">${wEsc}</button>
+            data-word="${wEsc}" onclick="window.QuiddlerTools?.showDict?.(this.dataset.word)">${wEsc}</button>
   `;
 }
 
 // ---------- main renderer for Online Dictionary area ----------
-function renderOnlineDict(word, apiJson, {senseLimit=3} = {}) {
+// entries: already normalized definitions (e.g. from the cache); otherwise apiJson is normalized by the provider
+function renderOnlineDict(word, apiJson, {senseLimit=3, provider=activeDictionaryProvider(), entries=null} = {}) {
   const wrap = document.getElementById('dictOnlineWrap');
   const box  = document.getElementById('dictOnline');
 
@@ -449,7 +503,7 @@ function renderOnlineDict(word, apiJson, {senseLimit=3} = {}) {
     return;
   }
 
-  const entries = normalizeFD(apiJson);
+  entries = entries || DICTIONARY_FORMATS[provider.format].normalize(apiJson, String(word).trim().toLowerCase());
   if (!entries.length) {
     // Nothing returned → keep Online section hidden
     wrap?.classList.add('hidden');
@@ -462,6 +516,7 @@ function renderOnlineDict(word, apiJson, {senseLimit=3} = {}) {
   wrap?.classList.remove('hidden');
 }
 
+if (typeof window !== 'undefined') window.getDictionaryCacheStats = dictCacheStats;
 if (typeof window !== 'undefined') window.getFDCacheStats = function() {
   const now = Date.now();
   const words = Object.keys(FD_STATUS_CACHE).filter(k => typeof FD_STATUS_CACHE[k] === 'boolean');
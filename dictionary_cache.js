@@ -0,0 +1,236 @@
+'use strict';
+// dictionary_cache.js — Persistent cache of online dictionary results
+// Storage:
+// - IndexedDB database 'quiddlerDictionaryCache', store 'words' (keyPath 'key'), one record per provider and word:
+//     { key, provider, word, valid, entries, fetchedAt, usedAt, size }
+//   key: dictionaryCacheKey ('CAT', or 'wiktionary:CAT' for other providers); entries: the normalized definitions
+//   (renderOnlineDict's shape) of a valid word, or null; fetchedAt/usedAt: ms timestamps; size: bytes, roughly.
+// - Records expire DICT_CACHE_TTL_MS after they were fetched. Beyond DICT_CACHE_MAX_ENTRIES or
+//   DICT_CACHE_MAX_BYTES the least recently used records are evicted.
+// - dictionary_api.js keeps validity in memory (FD_STATUS_CACHE) for synchronous checks, writes through to this
+//   store, and reads definitions from it, so repeat lookups in the Dictionary tab work offline.
+// - Without IndexedDB (some private modes) dictionary_api.js keeps only validity, in localStorage.
+// - Export/import: a JSON file { format: DICT_CACHE_FILE_FORMAT, version: 1, exportedAt, records: [...] }.
+
+const DICT_CACHE_DB_NAME = 'quiddlerDictionaryCache';
+const DICT_CACHE_STORE = 'words';
+const DICT_CACHE_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const DICT_CACHE_MAX_ENTRIES = 5000;
+const DICT_CACHE_MAX_BYTES = 5 * 1024 * 1024;
+const DICT_CACHE_EVICT_EVERY = 50; // writes between eviction passes
+const DICT_CACHE_FILE_FORMAT = 'quiddler-dictionary-cache';
+
+// Lookups answered by a cache vs sent to a provider, since the page loaded
+const dictCacheCounters = { hits: 0, misses: 0 };
+
+// ---------- Storage ----------
+let dictCacheDbPromise = null;
+function openDictCacheDB() {
+  if (dictCacheDbPromise) return dictCacheDbPromise;
+  dictCacheDbPromise = new Promise(resolve => {
+    if (typeof indexedDB === 'undefined') { resolve(null); return; }
+    let req;
+    try { req = indexedDB.open(DICT_CACHE_DB_NAME, 1); } catch { resolve(null); return; }
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(DICT_CACHE_STORE)) db.createObjectStore(DICT_CACHE_STORE, { keyPath: 'key' });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => { console.warn('Dictionary cache: IndexedDB unavailable; using localStorage', req.error); resolve(null); };
+  });
+  return dictCacheDbPromise;
+}
+
+// Run requests in one transaction; resolves with the last request's result once the transaction commits
+function dictCacheTx(db, mode, makeRequest) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(DICT_CACHE_STORE, mode);
+    const req = makeRequest(tx.objectStore(DICT_CACHE_STORE));
+    tx.oncomplete = () => resolve(req ? req.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function dictCacheExpired(rec, now = Date.now()) {
+  return !rec || !(now - rec.fetchedAt <= DICT_CACHE_TTL_MS);
+}
+
+// ---------- Entry shape ----------
+// Stored entries are rendered by renderOnlineDict, and an imported file can hold anything: keep only the fields
+// it draws, with the types it expects, and only http(s) links
+const dictString = v => (typeof v === 'string' ? v : '');
+const dictStrings = v => (Array.isArray(v) ? v.filter(x => typeof x === 'string') : []);
+function isWebUrl(u) {
+  try { return /^https?:$/.test(new URL(u).protocol); } catch { return false; }
+}
+function sanitizeDictEntries(entries) {
+  if (!Array.isArray(entries)) return null;
+  const clean = entries.filter(e => e && typeof e === 'object').map(e => ({
+    word: dictString(e.word),
+    phonetic: dictString(e.phonetic),
+    audioUrl: isWebUrl(e.audioUrl) ? e.audioUrl : '',
+    meanings: (Array.isArray(e.meanings) ? e.meanings : []).filter(m => m && Array.isArray(m.senses)).map(m => ({
+      pos: dictString(m.pos),
+      senses: m.senses.filter(sense => sense && typeof sense.def === 'string' && sense.def).map(sense => ({
+        def: sense.def,
+        example: dictString(sense.example),
+        synonyms: dictStrings(sense.synonyms),
+        antonyms: dictStrings(sense.antonyms),
+      })),
+      aggSynonyms: dictStrings(m.aggSynonyms),
+      aggAntonyms: dictStrings(m.aggAntonyms),
+    })).filter(m => m.senses.length),
+    sourceUrls: dictStrings(e.sourceUrls).filter(isWebUrl),
+  })).filter(e => e.word || e.meanings.length);
+  return clean.length ? clean : null;
+}
+
+// A record for a cache key ('CAT' belongs to the default provider); entries are sanitized (sanitizeDictEntries)
+function dictCacheRecord(key, valid, entries = null, fetchedAt = Date.now()) {
+  const sep = key.indexOf(':');
+  const rec = {
+    key,
+    provider: sep < 0 ? DEFAULT_DICTIONARY_PROVIDER_ID : key.slice(0, sep),
+    word: (sep < 0 ? key : key.slice(sep + 1)).toLowerCase(),
+    valid: !!valid,
+    entries: valid ? sanitizeDictEntries(entries) : null,
+    fetchedAt,
+    usedAt: Date.now(),
+    size: 0,
+  };
+  rec.size = JSON.stringify(rec).length;
+  return rec;
+}
+
+// The unexpired record for a key (marked as used), or null
+async function dictCacheGet(key) {
+  const db = await openDictCacheDB();
+  if (!db) return null;
+  try {
+    const rec = await dictCacheTx(db, 'readonly', store => store.get(key));
+    if (dictCacheExpired(rec)) return null;
+    rec.entries = rec.valid ? sanitizeDictEntries(rec.entries) : null; // records stored before entries were checked
+    rec.usedAt = Date.now();
+    dictCacheTx(db, 'readwrite', store => store.put(rec)).catch(() => {});
+    return rec;
+  } catch {
+    return null;
+  }
+}
+
+async function dictCacheAll() {
+  const db = await openDictCacheDB();
+  if (!db) return [];
+  try { return (await dictCacheTx(db, 'readonly', store => store.getAll())) || []; }
+  catch { return []; }
+}
+
+let dictCacheWrites = 0;
+async function dictCachePutAll(records) {
+  const db = await openDictCacheDB();
+  if (!db || !records.length) return;
+  try {
+    await dictCacheTx(db, 'readwrite', store => { records.forEach(r => store.put(r)); return null; });
+  } catch (e) {
+    console.warn('Dictionary cache write failed', e);
+  }
+  dictCacheWrites += records.length;
+  if (dictCacheWrites >= DICT_CACHE_EVICT_EVERY) { dictCacheWrites = 0; evictDictCache(); }
+}
+
+// Record that words were used (or checked) now: [{ key, valid }]. A record whose validity changed is replaced.
+async function dictCacheTouch(items) {
+  const db = await openDictCacheDB();
+  if (!db || !items.length) return;
+  const now = Date.now();
+  try {
+    await dictCacheTx(db, 'readwrite', store => {
+      items.forEach(({ key, valid }) => {
+        const req = store.get(key);
+        req.onsuccess = () => {
+          const rec = req.result;
+          if (rec && rec.valid === valid && !dictCacheExpired(rec, now)) { rec.usedAt = now; store.put(rec); }
+          else store.put(dictCacheRecord(key, valid));
+        };
+      });
+      return null;
+    });
+  } catch (e) {
+    console.warn('Dictionary cache write failed', e);
+  }
+}
+
+// Drop expired records, then the least recently used beyond the caps. Resolves with the keys removed.
+async function evictDictCache() {
+  const db = await openDictCacheDB();
+  if (!db) return [];
+  const now = Date.now();
+  const all = (await dictCacheAll()).sort((a, b) => b.usedAt - a.usedAt);
+  let bytes = 0;
+  const drop = all.filter((rec, i) => {
+    if (dictCacheExpired(rec, now) || i >= DICT_CACHE_MAX_ENTRIES) return true;
+    bytes += rec.size || 0;
+    return bytes > DICT_CACHE_MAX_BYTES;
+  }).map(rec => rec.key);
+  if (drop.length) {
+    try { await dictCacheTx(db, 'readwrite', store => { drop.forEach(k => store.delete(k)); return null; }); }
+    catch (e) { console.warn('Dictionary cache eviction failed', e); }
+  }
+  return drop;
+}
+
+async function clearDictCache() {
+  const db = await openDictCacheDB();
+  if (!db) return;
+  try { await dictCacheTx(db, 'readwrite', store => store.clear()); } catch {}
+}
+
+// { storage, entries, positives, negatives, withDefinitions, bytes, oldestFetchedAt, newestFetchedAt,
+//   hits, misses, hitRate (0–1, null before any lookup), ttlMs, maxEntries, maxBytes }
+async function dictCacheStats() {
+  const db = await openDictCacheDB();
+  const now = Date.now();
+  const records = (await dictCacheAll()).filter(r => !dictCacheExpired(r, now));
+  const fetched = records.map(r => r.fetchedAt);
+  const { hits, misses } = dictCacheCounters;
+  return {
+    storage: db ? 'indexedDB' : 'localStorage',
+    entries: records.length,
+    positives: records.filter(r => r.valid).length,
+    negatives: records.filter(r => !r.valid).length,
+    withDefinitions: records.filter(r => r.entries).length,
+    bytes: records.reduce((n, r) => n + (r.size || 0), 0),
+    oldestFetchedAt: fetched.length ? Math.min(...fetched) : null,
+    newestFetchedAt: fetched.length ? Math.max(...fetched) : null,
+    hits,
+    misses,
+    hitRate: hits + misses ? hits / (hits + misses) : null,
+    ttlMs: DICT_CACHE_TTL_MS,
+    maxEntries: DICT_CACHE_MAX_ENTRIES,
+    maxBytes: DICT_CACHE_MAX_BYTES,
+  };
+}
+
+// ---------- Export / import ----------
+async function dictCacheExportPayload() {
+  const now = Date.now();
+  const records = (await dictCacheAll()).filter(r => !dictCacheExpired(r, now));
+  return { format: DICT_CACHE_FILE_FORMAT, version: 1, exportedAt: new Date(now).toISOString(), records };
+}
+
+// Merge an exported cache: a record replaces ours only when it was fetched later. Expired records are skipped.
+// Throws Error with a user-facing message. Resolves with the records stored.
+async function importDictCachePayload(data) {
+  if (!data || data.format !== DICT_CACHE_FILE_FORMAT) throw new Error('Not a Quiddler dictionary cache file.');
+  if (data.version !== 1 || !Array.isArray(data.records)) throw new Error(`Unsupported cache file version ${JSON.stringify(data.version)}.`);
+  if (!(await openDictCacheDB())) throw new Error('This browser has no IndexedDB, so the cache cannot be imported.');
+  const now = Date.now();
+  const ours = new Map((await dictCacheAll()).map(r => [r.key, r]));
+  const incoming = data.records
+    .filter(r => r && typeof r.key === 'string' && r.key && typeof r.valid === 'boolean' && Number.isFinite(r.fetchedAt))
+    .map(r => dictCacheRecord(r.key, r.valid, r.entries, r.fetchedAt))
+    .filter(r => !dictCacheExpired(r, now) && !(ours.get(r.key)?.fetchedAt >= r.fetchedAt));
+  await dictCachePutAll(incoming);
+  return incoming;
+}
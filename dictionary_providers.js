@@ -0,0 +1,217 @@
+'use strict';
+// dictionary_providers.js — Registry of online dictionary providers (the "API" dictionary of dictionary_api.js)
+// - A provider is a response format plus where to find it. Each format implements the provider interface:
+//     lookup(provider, word) → Promise<{ status: 'found' | 'missing' | 'error', data }>
+//     normalize(data, word)  → entries in the shape renderOnlineDict draws (see normalizeFD)
+//     isValid(data)          → does the response mean the word exists?
+// - Formats: 'freedictionary' (api.dictionaryapi.dev and self-hosted copies), 'wiktionary' (the Wiktionary REST
+//   definition endpoint) and 'json', one offline JSON file of definitions fetched once, e.g. the bundled
+//   dictionary_fixture.json that lets the online path (dictSource 'api', validateWordAPIBatch) run without network.
+// - Built-in providers plus custom ones (name, URL, format) persisted in localStorage with the active choice, a
+//   device preference like the house word list.
+//
+// Provider shape: { id, name, builtIn, format, url, words: Map | null (format 'json', once loaded), loadError }
+//   url: a template with {word} (the lower-case word), or the JSON file for format 'json'
+// JSON file shape: { "cat": "definition" | ["definition", …] | { "noun": ["definition", …], … }, … }
+
+const DICTIONARY_PROVIDERS_STORAGE_KEY = 'quiddlerDictionaryProvidersV1';
+const DEFAULT_DICTIONARY_PROVIDER_ID = 'freedictionary';
+const DICTIONARY_LOOKUP_TIMEOUT_MS = 8000;
+
+// GET a JSON document; 404 means the word is missing, anything else that fails is an error
+async function fetchDictionaryJSON(url) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), DICTIONARY_LOOKUP_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (response.status === 404) return { status: 'missing', data: null };
+    if (!response.ok) return { status: 'error', data: null };
+    return { status: 'found', data: await response.json() };
+  } catch {
+    return { status: 'error', data: null };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// One request per word; the format decides whether the response counts
+async function lookupByUrl(provider, word) {
+  const res = await fetchDictionaryJSON(provider.url.replace('{word}', encodeURIComponent(word)));
+  if (res.status !== 'found') return res;
+  const format = DICTIONARY_FORMATS[provider.format];
+  return format.isValid(res.data) ? res : { status: 'missing', data: null };
+}
+
+function stripTags(html) {
+  return String(html || '').replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
+}
+
+// A normalized entry from { pos: [definitions] }
+function simpleEntry(word, byPos) {
+  const meanings = Object.entries(byPos).map(([pos, defs]) => ({
+    pos,
+    senses: defs.filter(Boolean).map(def => ({ def, example: '', synonyms: [], antonyms: [] })),
+    aggSynonyms: [],
+    aggAntonyms: [],
+  })).filter(m => m.senses.length);
+  return { word, phonetic: '', audioUrl: '', meanings, sourceUrls: [] };
+}
+
+const DICTIONARY_FORMATS = {
+  freedictionary: {
+    label: 'Free Dictionary API',
+    lookup: lookupByUrl,
+    normalize: data => normalizeFD(data),
+    isValid: data => Array.isArray(data) && data.length > 0,
+  },
+  wiktionary: {
+    label: 'Wiktionary REST',
+    lookup: lookupByUrl,
+    // { en: [{ partOfSpeech, definitions: [{ definition (HTML), examples: [HTML] }] }], fr: … } — English only
+    normalize: (data, word = '') => {
+      const sections = (data && data.en) || [];
+      if (!sections.length) return [];
+      const entry = simpleEntry(word, {});
+      entry.meanings = sections.map(s => ({
+        pos: String(s.partOfSpeech || '').toLowerCase(),
+        senses: (s.definitions || []).map(d => ({
+          def: stripTags(d.definition),
+          example: stripTags((d.examples || [])[0]),
+          synonyms: [],
+          antonyms: [],
+        })).filter(d => d.def),
+        aggSynonyms: [],
+        aggAntonyms: [],
+      })).filter(m => m.senses.length);
+      return entry.meanings.length ? [entry] : [];
+    },
+    isValid: data => Array.isArray(data && data.en) && data.en.length > 0,
+  },
+  json: {
+    label: 'Offline JSON file',
+    lookup: async (provider, word) => {
+      try { await loadDictionaryProvider(provider); } catch { return { status: 'error', data: null }; }
+      const defs = provider.words.get(word);
+      return defs ? { status: 'found', data: { word, defs } } : { status: 'missing', data: null };
+    },
+    normalize: data => {
+      if (!data || !data.defs) return [];
+      const defs = data.defs;
+      const byPos = typeof defs === 'string' ? { '': [defs] }
+        : Array.isArray(defs) ? { '': defs.map(String) }
+        : Object.fromEntries(Object.entries(defs).map(([pos, d]) => [pos, [].concat(d).map(String)]));
+      return [simpleEntry(data.word, byPos)];
+    },
+    isValid: data => !!(data && data.defs),
+  },
+};
+
+const DICTIONARY_PROVIDERS = new Map();
+[
+  { id: DEFAULT_DICTIONARY_PROVIDER_ID, name: 'Free Dictionary API', format: 'freedictionary', url: 'https://api.dictionaryapi.dev/api/v2/entries/en/{word}' },
+  { id: 'wiktionary', name: 'Wiktionary', format: 'wiktionary', url: 'https://en.wiktionary.org/api/rest_v1/page/definition/{word}' },
+  { id: 'fixture', name: 'Offline fixture (dictionary_fixture.json)', format: 'json', url: 'dictionary_fixture.json' },
+].forEach(p => DICTIONARY_PROVIDERS.set(p.id, { ...p, builtIn: true, words: null, loadError: null }));
+
+let activeDictionaryProviderRef = DICTIONARY_PROVIDERS.get(DEFAULT_DICTIONARY_PROVIDER_ID);
+
+function getDictionaryProvider(id) {
+  return DICTIONARY_PROVIDERS.get(id) || null;
+}
+function listDictionaryProviders() {
+  return Array.from(DICTIONARY_PROVIDERS.values());
+}
+function activeDictionaryProvider() {
+  return activeDictionaryProviderRef;
+}
+// Unknown ids fall back to the Free Dictionary API. Returns the active provider.
+function setActiveDictionaryProvider(id) {
+  activeDictionaryProviderRef = getDictionaryProvider(id) || DICTIONARY_PROVIDERS.get(DEFAULT_DICTIONARY_PROVIDER_ID);
+  persistDictionaryProviders();
+  return activeDictionaryProviderRef;
+}
+
+// Format 'json': read the whole file (once). Resolves with the provider; rejects with a user-facing message.
+async function loadDictionaryProvider(provider = activeDictionaryProviderRef) {
+  if (provider.format !== 'json' || provider.words) return provider;
+  provider.pending ??= (async () => {
+    try {
+      const res = await fetch(provider.url);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const json = await res.json();
+      provider.words = new Map(Object.entries(json || {}).map(([w, defs]) => [w.toLowerCase(), defs]));
+      provider.loadError = null;
+      return provider;
+    } catch (e) {
+      provider.loadError = `Could not load the dictionary "${provider.name}" (${provider.url}).`;
+      throw new Error(provider.loadError);
+    } finally {
+      provider.pending = null;
+    }
+  })();
+  return provider.pending;
+}
+
+// Key for the shared validity cache (dictionary_api.js); the Free Dictionary API keeps the plain word so caches
+// saved before providers existed stay valid
+function dictionaryCacheKey(upper, provider = activeDictionaryProviderRef) {
+  return provider.id === DEFAULT_DICTIONARY_PROVIDER_ID ? upper : `${provider.id}:${upper}`;
+}
+
+// ---------- Custom providers (persisted with the active choice) ----------
+function loadDictionaryProviders() {
+  if (typeof localStorage === 'undefined') return;
+  try {
+    const saved = JSON.parse(localStorage.getItem(DICTIONARY_PROVIDERS_STORAGE_KEY) || '{}') || {};
+    (Array.isArray(saved.custom) ? saved.custom : []).forEach(p => {
+      if (!p || !p.id || DICTIONARY_PROVIDERS.get(p.id)?.builtIn || !DICTIONARY_FORMATS[p.format] || !p.url) return;
+      DICTIONARY_PROVIDERS.set(p.id, { id: p.id, name: String(p.name || p.id), format: p.format, url: String(p.url), builtIn: false, words: null, loadError: null });
+    });
+    activeDictionaryProviderRef = getDictionaryProvider(saved.active) || activeDictionaryProviderRef;
+  } catch (e) {
+    console.warn('Dictionary provider load failed', e);
+  }
+}
+function persistDictionaryProviders() {
+  if (typeof localStorage === 'undefined') return;
+  try {
+    const custom = listDictionaryProviders().filter(p => !p.builtIn).map(({ id, name, format, url }) => ({ id, name, format, url }));
+    localStorage.setItem(DICTIONARY_PROVIDERS_STORAGE_KEY, JSON.stringify({ active: activeDictionaryProviderRef.id, custom }));
+  } catch {}
+}
+// Add or replace a custom provider. Throws Error with a user-facing message. Returns the provider.
+function registerDictionaryProvider({ name, url, format } = {}) {
+  const label = String(name || '').trim();
+  if (!label) throw new Error('Give the dictionary a name.');
+  if (!DICTIONARY_FORMATS[format]) throw new Error(`Format must be one of ${Object.keys(DICTIONARY_FORMATS).join(', ')}.`);
+  const address = String(url || '').trim();
+  if (!address) throw new Error('Enter the dictionary URL.');
+  if (format !== 'json' && !address.includes('{word}')) throw new Error('The URL needs a {word} placeholder, e.g. https://example.org/define/{word}');
+  const id = customEntryId(label);
+  const provider = { id, name: label, format, url: address, builtIn: false, words: null, loadError: null };
+  DICTIONARY_PROVIDERS.set(id, provider);
+  if (activeDictionaryProviderRef.id === id) activeDictionaryProviderRef = provider;
+  persistDictionaryProviders();
+  return provider;
+}
+function removeDictionaryProvider(id) {
+  const provider = DICTIONARY_PROVIDERS.get(id);
+  if (!provider || provider.builtIn) return false;
+  DICTIONARY_PROVIDERS.delete(id);
+  if (activeDictionaryProviderRef === provider) activeDictionaryProviderRef = DICTIONARY_PROVIDERS.get(DEFAULT_DICTIONARY_PROVIDER_ID);
+  persistDictionaryProviders();
+  return true;
+}
+
+loadDictionaryProviders();
+
+if (typeof window !== 'undefined') {
+  window.QuiddlerData = Object.assign({}, window.QuiddlerData || {}, {
+    DICTIONARY_FORMATS,
+    listDictionaryProviders,
+    activeDictionaryProvider,
+    setActiveDictionaryProvider,
+    registerDictionaryProvider,
+    removeDictionaryProvider,
+  });
+}
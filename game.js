@@ -8,18 +8,22 @@
   - roundsData: array of round objects; each round keeps per-player chit objects
     round = {
       roundNum: number,
+      wentOut: string|null,     // player marked as going out first (drives the optional going-out bonus)
+      challengeLog: Array<{…}>, // every challenge ruling and withdrawal, oldest first (see logChallenge)
       players: {
         [playerName]: Array<{
           text: string,         // raw chit text, e.g. (qu)ick or -e(th)
-          score: number,        // computed from scoring.calculateScore(parseCards(...))
+          score: number,        // computed from scoring.calculateScore(parseCards(...)) with the game's deck
           state: 'neutral'|'valid'|'invalid', // result of challenge resolution
-          challenger: string|null // who challenged this word (or null for GOD/unassigned)
+          challenger: string|null, // who challenged this word (or null for GOD/unassigned)
+          override?: { reason, dictionary } // the table overruled the dictionary's verdict (state holds the ruling)
         }> & bookkeeping fields set during recalc:
         baseScore: number,
         challengeDeductions: number,
         bonus: number,
         gotLongestBonus: boolean,
         gotMostWordsBonus: boolean,
+        bonusNotes: Array<{ kind, icon, points, full, text }>, // who got which bonus share and why (ties)
         roundScore: number
       }
     }
@@ -29,23 +33,27 @@
   - A word contributes to base score if:
     • state !== 'invalid', OR
     • state === 'invalid' but has no challenger (definition-only check or unchallenged)
-  - Challenge deductions:
+  - Challenge deductions, bonuses, and the round-score floor follow the game's rules (rules.js), chosen as a
+    preset in the pre-game config and saved with the game. Classic app rules:
     • If a VALID word is challenged, challenger pays the word's points.
     • If an INVALID word is challenged, owner pays the word's points.
-  - Bonuses (if enabled via UI): strictly single-winner for longest word length and most words.
+    • Bonuses (if enabled): strictly single-winner for longest word length and most words.
+  - Deck: chosen in the pre-game config (decks.js registry) and saved with the game; it is the active deck
+    for scoring, row validation and the Solver tools while the game is loaded.
 */
 
 let gameStarted = false;
-let players = [];
+let players = [];                // seated players, in dealing order
+let formerPlayers = [];          // players who left mid-game (their past rounds still count and render)
+let startingScores = {};         // { [player]: points } head start for players added mid-game
+let teams = [];                  // team mode: [{ name, members:[player] }]; empty = individual play
+let teamBonusScope = 'team';     // team mode: longest/most-words bonuses judged per 'team' or per 'player'
 let scores = {};
-let currentRound = 3;
+let currentRound = 3;            // hand size of the round in play (rules.rounds sets the order)
 let startCards = 3;              // NEW: configurable starting hand size
 let maxRound = 10;               // (was const) now configurable ending hand size
 let roundsData = [];
-let longestWordBonus = false;
-let mostWordsBonus = false;
-let longestWordPoints = 0;
-let mostWordsPoints = 0;
+let rules = normalizeRules(getRulePreset(DEFAULT_RULE_PRESET_ID).rules); // this game's scoring rules (rules.js)
 let currentDealerIdx = 0;
 const DEALER_EMOJI = '♠️'; // Dealer indicator (alternatives: 🃏 🎴 ♣️ ♦️ ♠️ ❤️ 🂠)
 let dictSource = 'local';        // NEW: 'local' | 'api'
@@ -58,6 +66,12 @@ let lastGameCompletedAllRounds = false; // track whether the prior game reached
 //   submittedPlayers: { [playerName]: true }
 // We create the round on first player submission and keep adding/replacing rows until all submit.
 let currentRoundDraftInputs = {}; // NEW: per-player in-progress text for current round
+let currentRoundDraftWentOut = null; // 🏁 marked before anyone submitted; moves onto the round at the first submit
+// Game identity for the history archive (history.js): one archive record per gameId
+let gameId = null;
+let gameStartedAt = null; // ISO timestamps
+let gameEndedAt = null;
+let missingWordList = null; // { id, name } of the game's word list when it is not on this device (Collins stands in)
 
 // --- Persistence (localStorage) ---
 const Q_STORAGE_KEY = 'quiddlerGameStateV2'; // bumped from V1; legacy load removed
@@ -68,36 +82,47 @@ let __suppressAutoSave = false; // guard to avoid recursive saves during load
 
 function serializeGameState() {
   if (!gameStarted || !players.length) return null;
-  const draft = (!gameOver && currentRoundDraftInputs && Object.keys(currentRoundDraftInputs).length)
-    ? { roundNum: currentRound, inputs: currentRoundDraftInputs }
+  const draft = (!gameOver && ((currentRoundDraftInputs && Object.keys(currentRoundDraftInputs).length) || currentRoundDraftWentOut))
+    ? { roundNum: currentRound, inputs: currentRoundDraftInputs, wentOut: currentRoundDraftWentOut }
     : null;
   return {
     version: 2,
+    gameId,
+    startedAt: gameStartedAt,
+    endedAt: gameEndedAt,
     players: players.slice(),
+    formerPlayers: formerPlayers.slice(),
+    startingScores: { ...startingScores },
+    teams: teams.map(t => ({ name: t.name, members: t.members.slice() })),
+    teamBonusScope,
     roundsData: roundsData.map(r => ({
       roundNum: r.roundNum,
       dealer: r.dealer || null,
+      wentOut: r.wentOut || null,
       finalized: r.finalized !== false,
       skipped: !!r.skipped, // NEW persisted skipped flag
       submittedPlayers: Object.keys(r.submittedPlayers || {}),
+      ...(r.challengeLog?.length ? { challengeLog: r.challengeLog.map(e => ({ ...e })) } : {}),
       players: Object.fromEntries(Object.entries(r.players || {}).map(([p, arr]) => [p, arr.map(w => ({
         text: w.text,
         score: w.score,
         state: w.state,
-        challenger: w.challenger == null ? null : w.challenger
+        challenger: w.challenger == null ? null : w.challenger,
+        ...(w.flag ? { flag: w.flag } : {}),
+        ...(w.override ? { override: { ...w.override } } : {})
       }))]))
     })),
     currentRound,
     currentDealerIdx,
-    longestWordBonus,
-    mostWordsBonus,
-    longestWordPoints,
-    mostWordsPoints,
+    rules: normalizeRules(rules),
     gameOver,
     lastGameCompletedAllRounds,
     startCards,
     maxRound,
     dictSource,
+    deck: deckDefinition(activeDeck()), // full definition so custom decks restore even if later deleted
+    // By id: lists are too large to embed. A list missing here stays recorded, so it is used again once uploaded.
+    wordList: missingWordList ? { ...missingWordList } : { id: activeWordList().id, name: activeWordList().name },
     draftRound: draft
   };
 }
@@ -119,23 +144,59 @@ function serializePreGameConfig() {
   if (gameStarted) return null; // only store when on new game page
   try {
     const playersRaw = document.getElementById('playersInput')?.value || '';
+    const presetId = document.getElementById('rulesPreset')?.value || DEFAULT_RULE_PRESET_ID;
     const longestB = !!document.getElementById('longestWordBonus')?.checked;
     const mostB = !!document.getElementById('mostWordsBonus')?.checked;
     const longestPts = +(document.getElementById('longestWordPoints')?.value || 0) || 0;
     const mostPts = +(document.getElementById('mostWordsPoints')?.value || 0) || 0;
+    const longestTies = document.getElementById('longestWordTies')?.value || 'none';
+    const mostTies = document.getElementById('mostWordsTies')?.value || 'none';
+    const outB = !!document.getElementById('goingOutBonus')?.checked;
+    const outPts = +(document.getElementById('goingOutPoints')?.value || 0) || 0;
     const sc = +(document.getElementById('startCards')?.value || 3) || 3;
     const ec = +(document.getElementById('endCards')?.value || 10) || 10;
+    const roundOrder = document.getElementById('roundOrder')?.value || 'up';
+    const customRounds = document.getElementById('customRounds')?.value || '';
+    const negRounds = !!document.getElementById('negativeRoundScores')?.checked;
+    const chFailed = document.getElementById('challengeFailedPenalty')?.value || 'word';
+    const chLost = document.getElementById('challengeLostPenalty')?.value || 'word';
+    const chPoints = +(document.getElementById('challengePenaltyPoints')?.value || 0) || 0;
+    const god = !!document.getElementById('godChallenge')?.checked;
+    const exclQuals = document.getElementById('excludeQualifiers')?.value || '';
     const dictApiAlso = !!document.getElementById('dictApiAlso')?.checked;
+    const deckId = document.getElementById('deckSelect')?.value || STANDARD_DECK_ID;
+    const wordListId = document.getElementById('wordListSelect')?.value || STANDARD_WORD_LIST_ID;
+    const teamMode = !!document.getElementById('teamMode')?.checked;
+    const teamsRaw = document.getElementById('teamsInput')?.value || '';
+    const teamScope = document.getElementById('teamBonusScope')?.value || 'team';
     return {
       v: 1,
       playersRaw,
+      presetId,
       longestB,
       mostB,
       longestPts,
       mostPts,
+      longestTies,
+      mostTies,
+      outB,
+      outPts,
       sc,
       ec,
-      dictApiAlso
+      roundOrder,
+      customRounds,
+      negRounds,
+      chFailed,
+      chLost,
+      chPoints,
+      god,
+      exclQuals,
+      dictApiAlso,
+      deckId,
+      wordListId,
+      teamMode,
+      teamsRaw,
+      teamScope
     };
   } catch { return null; }
 }
@@ -163,43 +224,83 @@ function loadPreGameConfig() {
     const m = document.getElementById('mostWordsBonus'); if (m && !m.disabled) m.checked = data.mostB;
     const lp = document.getElementById('longestWordPoints'); if (lp && !lp.disabled) lp.value = data.longestPts;
     const mp = document.getElementById('mostWordsPoints'); if (mp && !mp.disabled) mp.value = data.mostPts;
+    const lt = document.getElementById('longestWordTies'); if (lt && !lt.disabled && data.longestTies) lt.value = data.longestTies;
+    const mt = document.getElementById('mostWordsTies'); if (mt && !mt.disabled && data.mostTies) mt.value = data.mostTies;
+    const ob = document.getElementById('goingOutBonus'); if (ob && !ob.disabled && data.outB != null) ob.checked = !!data.outB;
+    const op = document.getElementById('goingOutPoints'); if (op && !op.disabled && data.outPts != null) op.value = data.outPts;
     const sc = document.getElementById('startCards'); if (sc && !sc.disabled) sc.value = data.sc;
     const ec = document.getElementById('endCards'); if (ec && !ec.disabled) ec.value = data.ec;
+    const ro = document.getElementById('roundOrder'); if (ro && !ro.disabled && data.roundOrder) ro.value = data.roundOrder;
+    const cr = document.getElementById('customRounds'); if (cr && !cr.disabled && data.customRounds != null) cr.value = data.customRounds;
+    const rp = document.getElementById('rulesPreset'); if (rp && !rp.disabled && data.presetId && getRulePreset(data.presetId)) rp.value = data.presetId;
+    const neg = document.getElementById('negativeRoundScores'); if (neg && !neg.disabled && data.negRounds != null) neg.checked = !!data.negRounds;
+    const chf = document.getElementById('challengeFailedPenalty'); if (chf && !chf.disabled && data.chFailed) chf.value = data.chFailed;
+    const chl = document.getElementById('challengeLostPenalty'); if (chl && !chl.disabled && data.chLost) chl.value = data.chLost;
+    const chp = document.getElementById('challengePenaltyPoints'); if (chp && !chp.disabled && data.chPoints != null) chp.value = data.chPoints;
+    const god = document.getElementById('godChallenge'); if (god && !god.disabled && data.god != null) god.checked = !!data.god;
+    const xq = document.getElementById('excludeQualifiers'); if (xq && !xq.disabled && data.exclQuals != null) xq.value = data.exclQuals;
     const api = document.getElementById('dictApiAlso'); if (api && !api.disabled) api.checked = !!data.dictApiAlso;
+    const dk = document.getElementById('deckSelect'); if (dk && !dk.disabled && data.deckId && getDeck(data.deckId)) {
+      dk.value = data.deckId;
+      setActiveDeck(data.deckId);
+    }
+    const wl = document.getElementById('wordListSelect'); if (wl && !wl.disabled && data.wordListId && getWordList(data.wordListId)) {
+      wl.value = data.wordListId;
+      selectWordList(data.wordListId);
+    }
+    const tm = document.getElementById('teamMode'); if (tm && !tm.disabled) tm.checked = !!data.teamMode;
+    const ti = document.getElementById('teamsInput'); if (ti && !ti.disabled && data.teamsRaw != null) ti.value = data.teamsRaw;
+    const ts = document.getElementById('teamBonusScope'); if (ts && !ts.disabled && data.teamScope) ts.value = data.teamScope === 'player' ? 'player' : 'team';
     updateBonusInputs(); // reflect enabling/disabling points
+    updateRoundOrderInputs();
+    updateTeamInputs();
+    updateRulesPresetNote();
   } catch {} finally { __suppressPreConfigSave = false; }
 }
 // Attach listeners to pre-game inputs to auto-save config while editing (only when not in a game)
 function attachPreGameConfigListeners() {
-  const ids = ['playersInput','longestWordBonus','mostWordsBonus','longestWordPoints','mostWordsPoints','startCards','endCards','dictApiAlso'];
+  const ids = ['playersInput','longestWordBonus','mostWordsBonus','longestWordPoints','mostWordsPoints','longestWordTies','mostWordsTies','goingOutBonus','goingOutPoints','startCards','endCards','roundOrder','customRounds','dictApiAlso','deckSelect','wordListSelect','teamMode','teamsInput','teamBonusScope',
+    'rulesPreset','negativeRoundScores','challengeFailedPenalty','challengeLostPenalty','challengePenaltyPoints','godChallenge','excludeQualifiers'];
   ids.forEach(id => {
     const el = document.getElementById(id);
     if (!el) return;
-    const evt = (el.tagName === 'INPUT' && (el.type === 'number' || el.type === 'text')) ? 'input' : 'change';
+    const evt = ((el.tagName === 'INPUT' && (el.type === 'number' || el.type === 'text')) || el.tagName === 'TEXTAREA') ? 'input' : 'change';
     el.addEventListener(evt, () => { if (!gameStarted) savePreGameConfig(); });
   });
 }
-function loadGameState() {
+// Restore the saved game (or `fromData`, a serializeGameState payload, e.g. an undo snapshot)
+function loadGameState(fromData = null) {
   try {
-    const raw = localStorage.getItem(Q_STORAGE_KEY);
-    if (!raw) return;
-    const data = JSON.parse(raw);
+    let data = fromData;
+    if (!data) {
+      const raw = localStorage.getItem(Q_STORAGE_KEY);
+      if (!raw) return;
+      data = JSON.parse(raw);
+    }
     if (!data || data.version !== 2) return; // only V2 supported
 
     __suppressAutoSave = true;
 
     players = data.players || [];
+    formerPlayers = Array.isArray(data.formerPlayers) ? data.formerPlayers : [];
+    startingScores = (data.startingScores && typeof data.startingScores === 'object') ? { ...data.startingScores } : {};
+    teams = Array.isArray(data.teams) ? data.teams.map(t => ({ name: String(t.name), members: (t.members || []).slice() })) : [];
+    teamBonusScope = data.teamBonusScope === 'player' ? 'player' : 'team';
     roundsData = (data.roundsData || []).map(r => ({
       roundNum: r.roundNum,
       dealer: r.dealer || null,
+      wentOut: r.wentOut || null,
       finalized: r.finalized !== false, // treat missing as finalized
       skipped: !!r.skipped,            // NEW load skipped flag
       submittedPlayers: (r.submittedPlayers || []).reduce((m,p)=>{ m[p]=true; return m; }, {}),
+      challengeLog: Array.isArray(r.challengeLog) ? r.challengeLog.map(e => ({ ...e })) : [],
       players: Object.fromEntries(Object.entries(r.players || {}).map(([p, arr]) => [p, arr.map(w => ({
         text: w.text,
         score: w.score,
         state: w.state || 'neutral',
-        challenger: w.challenger == null ? null : w.challenger
+        challenger: w.challenger == null ? null : w.challenger,
+        ...(typeof w.flag === 'string' && w.flag ? { flag: w.flag } : {}),
+        ...(w.override && typeof w.override.reason === 'string' ? { override: { reason: w.override.reason, dictionary: w.override.dictionary } } : {})
       }))]))
     }));
     // Backfill missing dealer fields if absent
@@ -209,25 +310,33 @@ function loadGameState() {
     startCards = +data.startCards || 3;
     maxRound = +data.maxRound || 10;
     dictSource = data.dictSource === 'api' ? 'api' : 'local';
+    // Deck: saved definition wins (custom decks may have been edited/deleted since); older saves are standard
+    try { setActiveDeck(data.deck || STANDARD_DECK_ID); }
+    catch (e) { console.warn('Saved deck invalid; using standard deck', e); setActiveDeck(STANDARD_DECK_ID); }
+    const savedList = data.wordList?.id || STANDARD_WORD_LIST_ID;
+    missingWordList = setActiveWordList(savedList).id === savedList ? null : { id: savedList, name: String(data.wordList.name || savedList) };
+    loadWordList(activeWordList()).catch(e => console.warn(e.message));
     // NEW: restore draft inputs (only if not gameOver later)
     currentRoundDraftInputs = (data.draftRound && typeof data.draftRound === 'object') ? (data.draftRound.roundNum === data.currentRound ? (data.draftRound.inputs || {}) : {}) : {};
     const __restoredDraftCopy = { ...currentRoundDraftInputs }; // preserve before setupRound() may clear
+    const restoredDraftWentOut = data.draftRound?.roundNum === data.currentRound ? (data.draftRound.wentOut || null) : null;
     currentDealerIdx = data.currentDealerIdx || 0;
-    longestWordBonus = !!data.longestWordBonus;
-    mostWordsBonus = !!data.mostWordsBonus;
-    longestWordPoints = +data.longestWordPoints || 0;
-    mostWordsPoints = +data.mostWordsPoints || 0;
+    rules = rulesFromSave(data);
+    startCards = roundSequence(rules)[0];
+    maxRound = Math.max(...roundSequence(rules));
     gameOver = !!data.gameOver;
     lastGameCompletedAllRounds = !!data.lastGameCompletedAllRounds;
+    gameId = (typeof data.gameId === 'string' && data.gameId) ? data.gameId : newGameId();
+    gameStartedAt = data.startedAt || null;
+    gameEndedAt = data.endedAt || null;
     gameStarted = true;
+    loadUndoJournal();
 
     // --- Adjust round progression respecting unfinalized round ---
     if (!gameOver && roundsData.length) {
       const last = roundsData[roundsData.length - 1];
       if (last.finalized) {
-        if (currentRound <= last.roundNum && last.roundNum < maxRound) {
-          currentRound = last.roundNum + 1; // advance only if last was finalized
-        }
+        advanceRound(); // next hand in the sequence (position-based, so safe to repeat)
       } else {
         currentRound = last.roundNum; // keep working on this round
       }
@@ -236,22 +345,16 @@ function loadGameState() {
     // Reflect UI controls
     const pInput = document.getElementById('playersInput');
     if (pInput) { pInput.value = players.join(', '); pInput.disabled = true; }
-    const lCB = document.getElementById('longestWordBonus');
-    const mCB = document.getElementById('mostWordsBonus');
-    if (lCB) { lCB.checked = longestWordBonus; lCB.disabled = true; }
-    if (mCB) { mCB.checked = mostWordsBonus; mCB.disabled = true; }
-    const lPts = document.getElementById('longestWordPoints');
-    const mPts = document.getElementById('mostWordsPoints');
-    if (lPts) { lPts.value = longestWordPoints; lPts.disabled = true; }
-    if (mPts) { mPts.value = mostWordsPoints; mPts.disabled = true; }
-    // NEW: reflect start/end card inputs
-    const sc = document.getElementById('startCards');
-    const ec = document.getElementById('endCards');
-    if (sc) { sc.value = startCards; sc.disabled = true; }
-    if (ec) { ec.value = maxRound; ec.disabled = true; }
+    applyRulesToControls(rules, findRulePreset(rules)?.id);
+    setRulesControlsDisabled(true);
     // NEW: reflect dict source radios -> replaced with single checkbox
     const apiAlso = document.getElementById('dictApiAlso');
     if (apiAlso) { apiAlso.checked = (dictSource === 'api'); apiAlso.disabled = true; }
+    renderDeckOptions(activeDeck());
+    setDeckControlsDisabled(true);
+    renderWordListOptions();
+    setWordListControlsDisabled(true);
+    reflectTeamInputs(true);
 
     document.getElementById('preGameConfig')?.classList.add('hidden');
     document.getElementById('gameArea')?.classList.remove('hidden');
@@ -290,6 +393,8 @@ function loadGameState() {
         setupRound();
         // Reapply preserved draft inputs AFTER setupRound cleared them
         currentRoundDraftInputs = __restoredDraftCopy;
+        currentRoundDraftWentOut = players.includes(restoredDraftWentOut) ? restoredDraftWentOut : null;
+        syncWentOutButtons();
       }
       // After building inputs, apply any draft text for players not yet submitted (and without existing row words)
       try {
@@ -320,22 +425,668 @@ function loadGameState() {
   }
 }
 
-// Local dictionary validation (re-added)
+// --- History archive (see history.js) ---
+function newGameId() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+  return `g-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Archive record for the current game, or null when nothing was played yet
+function buildArchiveEntry() {
+  const state = serializeGameState();
+  if (!state || !roundsData.some(r => !r.skipped)) return null;
+  const everyone = allPlayers();
+  const top = Math.max(...everyone.map(p => scores[p] || 0));
+  const teamTop = teams.length ? teamStandings()[0].total : null;
+  return {
+    id: gameId || (gameId = newGameId()),
+    startedAt: gameStartedAt,
+    endedAt: gameEndedAt || new Date().toISOString(),
+    endedBy: gameOver ? (lastGameCompletedAllRounds ? 'completed' : 'ended') : 'reset',
+    players: everyone,
+    finalScores: Object.fromEntries(everyone.map(p => [p, scores[p] || 0])),
+    // Team mode: every member of the top team(s) wins
+    winners: teams.length
+      ? teamStandings().filter(t => t.total === teamTop).flatMap(t => t.members.map(m => m.player))
+      : everyone.filter(p => (scores[p] || 0) === top),
+    teams: teams.length ? teamStandings().map(t => ({ name: t.name, members: t.members.map(m => m.player), total: t.total })) : [],
+    roundsPlayed: roundsData.filter(r => !r.skipped).length,
+    // Per-row recalc fields are not part of serializeGameState; keep them so the archive renders without rescoring
+    roundScores: roundsData.map(r => ({
+      roundNum: r.roundNum,
+      players: Object.fromEntries(roundRoster(r).map(p => {
+        const d = (r.players && r.players[p]) || {};
+        return [p, {
+          baseScore: d.baseScore || 0,
+          challengeDeductions: d.challengeDeductions || 0,
+          bonus: d.bonus || 0,
+          gotLongestBonus: !!d.gotLongestBonus,
+          gotMostWordsBonus: !!d.gotMostWordsBonus,
+          bonusNotes: d.bonusNotes || [],
+          roundScore: d.roundScore || 0,
+        }];
+      })),
+    })),
+    state,
+  };
+}
+
+function archiveCurrentGame() {
+  const entry = buildArchiveEntry();
+  if (!entry || !window.QuiddlerHistory?.archiveGame) return;
+  window.QuiddlerHistory.archiveGame(entry).catch(e => console.warn('History archive failed', e));
+}
+
+// --- Undo / redo journal ---
+// Each scoring action (submit, edit, challenge, skip, end game) records a snapshot of the game taken just
+// before it changes anything; undo restores that snapshot through loadGameState and moves the current state
+// onto the redo stack. The journal is saved per gameId under its own key so it survives a reload.
+const Q_UNDO_KEY = 'quiddlerUndoV1';
+const UNDO_LIMIT = 30; // snapshots per stack (bounded so the journal stays small in localStorage)
+let undoStack = []; // [{ label, state }] oldest first
+let redoStack = [];
+
+function recordUndo(label) {
+  const state = serializeGameState();
+  if (!state) return;
+  undoStack.push({ label, state });
+  if (undoStack.length > UNDO_LIMIT) undoStack.splice(0, undoStack.length - UNDO_LIMIT);
+  redoStack = [];
+  saveUndoJournal();
+}
+
+function saveUndoJournal() {
+  try {
+    if (!undoStack.length && !redoStack.length) localStorage.removeItem(Q_UNDO_KEY);
+    else localStorage.setItem(Q_UNDO_KEY, JSON.stringify({ gameId, undo: undoStack, redo: redoStack }));
+  } catch (e) {
+    // Out of quota: keep the whole journal in memory, persist only the newest snapshots that fit
+    console.warn('Undo journal save failed; saving a shorter journal', e);
+    saveTrimmedUndoJournal();
+  }
+  updateUndoButtons();
+}
+
+// Drop the oldest snapshots (undo and redo alike) until the journal fits; with none left, remove the saved one
+// so a stale journal never outlives the state it belongs to
+function saveTrimmedUndoJournal() {
+  const undo = undoStack.slice();
+  const redo = redoStack.slice();
+  while (undo.length || redo.length) {
+    if (undo.length >= redo.length) undo.shift(); else redo.shift();
+    try {
+      localStorage.setItem(Q_UNDO_KEY, JSON.stringify({ gameId, undo, redo }));
+      return;
+    } catch {}
+  }
+  try { localStorage.removeItem(Q_UNDO_KEY); } catch {}
+}
+
+function loadUndoJournal() {
+  try {
+    const data = JSON.parse(localStorage.getItem(Q_UNDO_KEY) || 'null');
+    const ours = data && data.gameId === gameId;
+    undoStack = ours && Array.isArray(data.undo) ? data.undo : [];
+    redoStack = ours && Array.isArray(data.redo) ? data.redo : [];
+  } catch {
+    undoStack = []; redoStack = [];
+  }
+  updateUndoButtons();
+}
+
+function clearUndoJournal() {
+  undoStack = []; redoStack = [];
+  saveUndoJournal();
+}
+
+// Replace the live game with a snapshot (end-of-game UI is reset first; loadGameState re-applies it if needed)
+function restoreGameSnapshot(state) {
+  document.querySelectorAll('.challenger-dropdown').forEach(el => el.remove());
+  document.getElementById('scoreInputs')?.classList.remove('hidden');
+  const runHdr = document.getElementById('runningTotalsHeader');
+  if (runHdr) runHdr.textContent = 'Running Totals';
+  const journal = { undo: undoStack, redo: redoStack };
+  const wasOver = gameOver;
+  loadGameState(state);
+  // loadGameState reloads the persisted journal; keep the stacks we just rearranged
+  undoStack = journal.undo; redoStack = journal.redo;
+  saveUndoJournal();
+  // An undone end takes its History entry back: the game is archived again when it ends (loadGameState →
+  // endGame, e.g. on redo) or is reset
+  if (wasOver && !gameOver) {
+    window.QuiddlerHistory?.deleteArchivedGame?.(gameId).catch(e => console.warn('History delete failed', e));
+  }
+}
+
+function undo() {
+  if (!gameStarted || !undoStack.length) return false;
+  const entry = undoStack.pop();
+  redoStack.push({ label: entry.label, state: serializeGameState() });
+  restoreGameSnapshot(entry.state);
+  return true;
+}
+
+function redo() {
+  if (!gameStarted || !redoStack.length) return false;
+  const entry = redoStack.pop();
+  undoStack.push({ label: entry.label, state: serializeGameState() });
+  restoreGameSnapshot(entry.state);
+  return true;
+}
+
+function updateUndoButtons() {
+  const u = document.getElementById('undoBtn');
+  const r = document.getElementById('redoBtn');
+  const lastUndo = undoStack[undoStack.length - 1];
+  const lastRedo = redoStack[redoStack.length - 1];
+  if (u) { u.disabled = !lastUndo; u.title = lastUndo ? `Undo: ${lastUndo.label} (Ctrl/Cmd+Z)` : 'Nothing to undo'; }
+  if (r) { r.disabled = !lastRedo; r.title = lastRedo ? `Redo: ${lastRedo.label} (Ctrl/Cmd+Shift+Z)` : 'Nothing to redo'; }
+}
+
+// --- Export / import (JSON file) ---
+// The file is the serializeGameState payload (schema = its `version`) tagged with a format marker.
+const GAME_FILE_FORMAT = 'quiddler-game';
+const GAME_FILE_SCHEMA_VERSION = 2;
+const WORD_STATES = ['neutral', 'valid', 'invalid'];
+
+// Describe everything wrong with an imported payload; [] when it can be loaded.
+function validateGameFile(data) {
+  const errors = [];
+  const isObj = v => v && typeof v === 'object' && !Array.isArray(v);
+  if (!isObj(data)) return ['The file does not contain a JSON object.'];
+  if (data.format != null && data.format !== GAME_FILE_FORMAT) {
+    return [`Not a Quiddler game file (format "${data.format}").`];
+  }
+  if (data.version !== GAME_FILE_SCHEMA_VERSION) {
+    return [`Unsupported schema version ${JSON.stringify(data.version)} (expected ${GAME_FILE_SCHEMA_VERSION}).`];
+  }
+  if (data.gameId != null && typeof data.gameId !== 'string') errors.push('"gameId" must be text.');
+
+  const names = Array.isArray(data.players) ? data.players : null;
+  if (!names || !names.length) errors.push('"players" must be a non-empty list of names.');
+  else {
+    if (names.some(n => typeof n !== 'string' || !n.trim())) errors.push('"players" contains an empty or non-text name.');
+    if (new Set(names).size !== names.length) errors.push('"players" contains duplicate names.');
+  }
+  if (data.formerPlayers != null && (!Array.isArray(data.formerPlayers) || data.formerPlayers.some(n => typeof n !== 'string'))) {
+    errors.push('"formerPlayers" must be a list of names.');
+  }
+  if (data.startingScores != null && (!isObj(data.startingScores) || Object.values(data.startingScores).some(v => !Number.isFinite(v)))) {
+    errors.push('"startingScores" must map names to numbers.');
+  }
+  const known = new Set([...(names || []), ...(Array.isArray(data.formerPlayers) ? data.formerPlayers : [])]);
+  if (data.teams != null) {
+    if (!Array.isArray(data.teams)) errors.push('"teams" must be a list of teams.');
+    else {
+      const assigned = new Set();
+      data.teams.forEach((t, i) => {
+        if (!isObj(t) || typeof t.name !== 'string' || !t.name.trim()) { errors.push(`Team #${i + 1} needs a "name".`); return; }
+        if (!Array.isArray(t.members)) { errors.push(`Team "${t.name}": "members" must be a list of names.`); return; }
+        t.members.forEach(m => {
+          if (!known.has(m)) errors.push(`Team "${t.name}": unknown player "${m}".`);
+          else if (assigned.has(m)) errors.push(`Team "${t.name}": "${m}" is already on another team.`);
+          assigned.add(m);
+        });
+      });
+    }
+  }
+  if (data.wordList != null && (!isObj(data.wordList) || typeof data.wordList.id !== 'string' || !data.wordList.id)) {
+    errors.push('"wordList" must be an object with an "id".');
+  }
+  if (data.teamBonusScope != null && !['team', 'player'].includes(data.teamBonusScope)) {
+    errors.push('"teamBonusScope" must be "team" or "player".');
+  }
+
+  ['startCards', 'maxRound', 'currentRound'].forEach(k => {
+    if (data[k] != null && !Number.isInteger(data[k])) errors.push(`"${k}" must be a whole number.`);
+  });
+  if (Number.isInteger(data.startCards) && Number.isInteger(data.maxRound) && data.startCards > data.maxRound) {
+    errors.push(`"startCards" (${data.startCards}) is greater than "maxRound" (${data.maxRound}).`);
+  }
+
+  if (!Array.isArray(data.roundsData)) errors.push('"roundsData" must be a list of rounds.');
+  else data.roundsData.forEach((r, i) => {
+    const at = `Round #${i + 1}`;
+    if (!isObj(r)) { errors.push(`${at} is not an object.`); return; }
+    if (!Number.isInteger(r.roundNum) || r.roundNum < 1) errors.push(`${at}: "roundNum" must be a positive whole number.`);
+    if (r.submittedPlayers != null && !Array.isArray(r.submittedPlayers)) errors.push(`${at}: "submittedPlayers" must be a list.`);
+    if (r.wentOut != null && !known.has(r.wentOut)) errors.push(`${at}: unknown "wentOut" player "${r.wentOut}".`);
+    if (r.challengeLog != null) {
+      if (!Array.isArray(r.challengeLog)) errors.push(`${at}: "challengeLog" must be a list.`);
+      else r.challengeLog.forEach((e, j) => {
+        const where = `${at}, challenge log entry ${j + 1}`;
+        if (!isObj(e) || !CHALLENGE_LOG_KINDS.includes(e.kind)) { errors.push(`${where}: unknown kind.`); return; }
+        if (typeof e.word !== 'string' || !known.has(e.player)) errors.push(`${where}: needs a "word" and a known "player".`);
+        if (e.challenger != null && !known.has(e.challenger)) errors.push(`${where}: unknown challenger "${e.challenger}".`);
+      });
+    }
+    if (!isObj(r.players)) { errors.push(`${at}: "players" must be an object of word lists.`); return; }
+    Object.entries(r.players).forEach(([p, words]) => {
+      if (!known.has(p)) errors.push(`${at}: unknown player "${p}".`);
+      if (!Array.isArray(words)) { errors.push(`${at}, ${p}: words must be a list.`); return; }
+      words.forEach((w, j) => {
+        const where = `${at}, ${p}, word ${j + 1}`;
+        if (!isObj(w) || typeof w.text !== 'string') { errors.push(`${where}: missing "text".`); return; }
+        if (typeof w.score !== 'number' || !Number.isFinite(w.score)) errors.push(`${where}: "score" must be a number.`);
+        if (w.state != null && !WORD_STATES.includes(w.state)) errors.push(`${where}: unknown state "${w.state}".`);
+        if (w.challenger != null && !known.has(w.challenger)) errors.push(`${where}: unknown challenger "${w.challenger}".`);
+        if (w.flag != null && typeof w.flag !== 'string') errors.push(`${where}: "flag" must be text.`);
+        if (w.override != null && (!isObj(w.override) || typeof w.override.reason !== 'string' || !WORD_STATES.includes(w.override.dictionary))) {
+          errors.push(`${where}: "override" needs a "reason" and the overruled "dictionary" verdict.`);
+        }
+      });
+    });
+  });
+
+  if (data.deck != null) {
+    try { normalizeDeck(data.deck); } catch (e) { errors.push(`Deck: ${e.message}`); }
+  }
+  if (data.rules != null) {
+    try { normalizeRules(data.rules); } catch (e) { errors.push(e.message); }
+  }
+  return errors;
+}
+
+// Download the current game as a .json file
+function exportGame() {
+  const state = serializeGameState();
+  if (!state) { alert('There is no game to export yet.'); return; }
+  const payload = { format: GAME_FILE_FORMAT, exportedAt: new Date().toISOString(), ...state };
+  const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+  const stamp = payload.exportedAt.slice(0, 10);
+  const who = players.map(p => p.replace(/[^\w-]+/g, '')).filter(Boolean).join('-').slice(0, 40);
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = `quiddler-${stamp}${who ? '-' + who : ''}.json`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(a.href), 0);
+}
+
+// Restore a game from a File (input[type=file]). Resolves true when the game was loaded.
+async function importGameFile(file) {
+  if (!file) return false;
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (e) {
+    alert(`Could not read "${file.name}": it is not valid JSON.`);
+    return false;
+  }
+  const errors = validateGameFile(data);
+  if (errors.length) {
+    const MAX_SHOWN = 8;
+    const more = errors.length > MAX_SHOWN ? `\n…and ${errors.length - MAX_SHOWN} more.` : '';
+    alert(`Could not import "${file.name}":\n- ${errors.slice(0, MAX_SHOWN).join('\n- ')}${more}`);
+    return false;
+  }
+  const missingList = data.wordList && !getWordList(data.wordList.id)
+    ? `This game was played with the word list "${data.wordList.name || data.wordList.id}", which is not on this device: ` +
+      `challenges, checks and solves will use ${getWordList(STANDARD_WORD_LIST_ID).name} until it is uploaded under the same name.`
+    : '';
+  if (gameStarted) {
+    const what = gameOver ? 'the finished game on screen' : 'the game in progress';
+    if (!confirm(`${missingList ? missingList + '\n\n' : ''}Importing replaces ${what}. Continue?`)) return false;
+  } else if (missingList && !confirm(`${missingList}\n\nImport anyway?`)) {
+    return false;
+  }
+  const { format, exportedAt, ...state } = data;
+  const json = JSON.stringify(state);
+  // Store the import before discarding anything: when storage is full the game on screen stays as it was
+  try {
+    localStorage.setItem(Q_STORAGE_KEY, json);
+  } catch (e) {
+    alert('Could not store the imported game (storage full or unavailable). The current game was kept.');
+    return false;
+  }
+  // The reset archives the game on screen and clears the saved state, so write the import again (it fitted a
+  // moment ago and the reset only frees space)
+  resetToPreGame();
+  try { localStorage.setItem(Q_STORAGE_KEY, json); } catch (e) { console.warn('Persist save failed', e); }
+  loadGameState(state);
+  return gameStarted;
+}
+
+// Local dictionary validation: house rulings, then Collins qualifier exclusions, then the game's word list
+// (word_lists.js; lazy lists must be loaded first, see loadWordList)
 function validateWordLocal(raw) {
-  if (!raw) return false;
-  const txt = String(raw).trim();
-  if (!txt || txt.startsWith('-')) return false; // unused/penalty chits never validated
+  return localWordVerdict(raw).valid;
+}
+
+// { valid, reason } — reason says why a word is rejected (shown on flags from "Check all words")
+function localWordVerdict(raw) {
+  const txt = String(raw || '').trim();
+  if (!txt || txt.startsWith('-')) return { valid: false, reason: 'unused card' }; // unused/penalty chits never validated
   // Strip parentheses (keep inner letters), punctuation, and digits; normalize to upper
   const plain = txt
     .replace(/\([^)]*\)/g, (m) => m.replace(/[()]/g, '')) // remove parens but keep letters inside
     .replace(/[()]/g,'')
-    .replace(/[^A-Za-z]/g,'')
+    .replace(/[^\p{L}]/gu,'')
     .toUpperCase();
-  if (!plain) return false;
+  if (!plain) return { valid: false, reason: 'no letters' };
+  // House rulings (house_words.js) override Collins either way
+  const ruling = typeof houseRuling === 'function' ? houseRuling(plain) : null;
+  if (ruling) return { valid: ruling.ruling === 'allow', reason: ruling.ruling === 'allow' ? '' : 'banned by house ruling' };
+  const list = activeWordList();
+  // Collins words whose every sense carries an excluded qualifier (rules.excludeQualifiers) don't count
+  const excludedBy = list.id === STANDARD_WORD_LIST_ID && typeof qualifierExclusion === 'function'
+    ? qualifierExclusion(plain, rules.excludeQualifiers) : null;
+  if (excludedBy) return { valid: false, reason: `every Collins sense is marked ${excludedBy.map(q => `(${q})`).join(' or ')}` };
   try {
-    return !!(typeof validWordsMap !== 'undefined' && validWordsMap[plain]);
+    return wordListHas(plain, list) ? { valid: true, reason: '' } : { valid: false, reason: `not in ${list.name}` };
   } catch {
-    return false;
+    return { valid: false, reason: `not in ${list.name}` };
+  }
+}
+
+// --- Deck selection (pre-game) ---
+// Fill the deck dropdown from the registry. `current` (a deck restored with a game) is listed even when it
+// is not registered here, e.g. a custom deck from another browser or one deleted since.
+function renderDeckOptions(current = null) {
+  const sel = document.getElementById('deckSelect');
+  if (!sel) return;
+  const decks = listDecks();
+  if (current && !decks.some(d => d.id === current.id)) decks.push(current);
+  const selectedId = current ? current.id : (getDeck(sel.value) ? sel.value : activeDeck().id);
+  sel.innerHTML = decks.map(d => {
+    const size = d.size ? ` · ${d.size} cards` : '';
+    return `<option value="${escapeHtml(d.id)}">${escapeHtml(d.name)}${escapeHtml(size)}</option>`;
+  }).join('');
+  sel.value = decks.some(d => d.id === selectedId) ? selectedId : STANDARD_DECK_ID;
+}
+
+function setDeckControlsDisabled(disabled) {
+  ['deckSelect','deckJson','deckSaveBtn','deckEditBtn','deckDeleteBtn'].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.disabled = disabled;
+  });
+}
+
+function setDeckMsg(text, isError = false) {
+  const el = document.getElementById('deckMsg');
+  if (!el) return;
+  el.textContent = text;
+  el.classList.toggle('text-red-600', isError);
+  el.classList.toggle('text-gray-600', !isError);
+}
+
+// One-time wiring for the deck dropdown and the custom deck editor
+function initDeckControls() {
+  renderDeckOptions();
+  const sel = document.getElementById('deckSelect');
+  // Outside a game the selection is live, so the Solver tools use the chosen deck right away
+  sel?.addEventListener('change', () => { if (!gameStarted) setActiveDeck(sel.value); });
+
+  document.getElementById('deckSaveBtn')?.addEventListener('click', () => {
+    if (gameStarted) return;
+    try {
+      const def = JSON.parse(document.getElementById('deckJson')?.value || '');
+      const deck = registerDeck(def);
+      renderDeckOptions();
+      if (sel) sel.value = deck.id;
+      setActiveDeck(deck.id);
+      savePreGameConfig();
+      setDeckMsg(`Saved "${deck.name}" (${Object.keys(deck.scores).length} cards${deck.size ? `, ${deck.size} in the deck` : ''}).`);
+    } catch (e) {
+      setDeckMsg(e instanceof SyntaxError ? 'Not valid JSON.' : String(e.message || e), true);
+    }
+  });
+
+  document.getElementById('deckEditBtn')?.addEventListener('click', () => {
+    const deck = getDeck(sel?.value) || activeDeck();
+    const ta = document.getElementById('deckJson');
+    if (ta) ta.value = JSON.stringify(deckDefinition(deck), null, 2);
+    setDeckMsg(deck.builtIn ? 'Change the id and name to save a copy.' : '');
+  });
+
+  document.getElementById('deckDeleteBtn')?.addEventListener('click', () => {
+    if (gameStarted) return;
+    const deck = getDeck(sel?.value);
+    if (!deck || deck.builtIn) { setDeckMsg('Built-in decks cannot be deleted.', true); return; }
+    if (!confirm(`Delete the deck "${deck.name}"?`)) return;
+    removeDeck(deck.id);
+    renderDeckOptions();
+    setActiveDeck(sel?.value || STANDARD_DECK_ID);
+    savePreGameConfig();
+    setDeckMsg(`Deleted "${deck.name}".`);
+  });
+}
+
+// --- Word list selection (pre-game, see word_lists.js) ---
+// Lists read from a data file (na_words.txt is not part of the repo, see README) are offered once the file has
+// loaded, or while they are the game's list
+function wordListOffered(list) {
+  return list.source !== 'url' || isWordListLoaded(list) || (gameStarted && list === activeWordList());
+}
+
+function renderWordListOptions() {
+  const sel = document.getElementById('wordListSelect');
+  if (!sel) return;
+  // Before a game the active list follows the dropdown (selectWordList), including a choice still loading
+  const keep = activeWordList().id;
+  const offered = listWordLists().filter(wordListOffered);
+  sel.innerHTML = offered
+    .map(l => `<option value="${escapeHtml(l.id)}">${escapeHtml(l.name)}</option>`)
+    .join('');
+  sel.value = offered.some(l => l.id === keep) ? keep : STANDARD_WORD_LIST_ID;
+}
+
+function setWordListControlsDisabled(disabled) {
+  ['wordListSelect','wordListFile','wordListName','wordListUploadBtn','wordListDeleteBtn'].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.disabled = disabled;
+  });
+}
+
+function setWordListMsg(text, isError = false) {
+  const el = document.getElementById('wordListMsg');
+  if (!el) return;
+  el.textContent = text;
+  el.classList.toggle('text-red-600', isError);
+  el.classList.toggle('text-gray-600', !isError);
+}
+
+// Select a list outside a game: it becomes active (Solver and Dictionary tab) and lazy lists start loading
+function selectWordList(id) {
+  const list = setActiveWordList(id);
+  if (isWordListLoaded(list)) { setWordListMsg(''); return; }
+  setWordListMsg(`Loading "${list.name}"…`);
+  loadWordList(list)
+    .then(() => { if (activeWordList() === list) setWordListMsg(`${list.words.size.toLocaleString()} words.`); })
+    .catch(e => { if (activeWordList() === list) setWordListMsg(e.message, true); });
+}
+
+// One-time wiring for the word list dropdown and custom list upload
+function initWordListControls() {
+  renderWordListOptions();
+  // Look for the data-file lists; one whose file is missing stays hidden (and stops being the saved choice)
+  listWordLists().filter(l => l.source === 'url').forEach(l => loadWordList(l)
+    .catch(() => { if (!gameStarted && activeWordList() === l) setActiveWordList(STANDARD_WORD_LIST_ID); })
+    .finally(renderWordListOptions));
+  const sel = document.getElementById('wordListSelect');
+  sel?.addEventListener('change', () => { if (!gameStarted) selectWordList(sel.value); });
+
+  document.getElementById('wordListUploadBtn')?.addEventListener('click', async () => {
+    if (gameStarted) return;
+    const file = document.getElementById('wordListFile')?.files?.[0];
+    if (!file) { setWordListMsg('Choose a text file first (one word per line).', true); return; }
+    const nameEl = document.getElementById('wordListName');
+    try {
+      const { list, skipped, stored } = registerWordList(nameEl?.value || file.name.replace(/\.[^.]*$/, ''), await file.text());
+      renderWordListOptions();
+      if (sel) sel.value = list.id;
+      setActiveWordList(list.id);
+      savePreGameConfig();
+      setWordListMsg(`Saved "${list.name}" (${list.words.size.toLocaleString()} words`
+        + `${skipped ? `; skipped ${skipped} line${skipped === 1 ? '' : 's'} with non-letters` : ''})`
+        + `${stored ? '.' : ' for this session only: too large to keep in browser storage.'}`);
+    } catch (e) {
+      setWordListMsg(String(e.message || e), true);
+    }
+  });
+
+  document.getElementById('wordListDeleteBtn')?.addEventListener('click', () => {
+    if (gameStarted) return;
+    const list = getWordList(sel?.value);
+    if (!list || list.builtIn) { setWordListMsg('Built-in word lists cannot be deleted.', true); return; }
+    if (!confirm(`Delete the word list "${list.name}"?`)) return;
+    removeWordList(list.id);
+    renderWordListOptions();
+    selectWordList(sel?.value || STANDARD_WORD_LIST_ID);
+    savePreGameConfig();
+    setWordListMsg(`Deleted "${list.name}".`);
+  });
+}
+
+// ---------- Rules (pre-game config, see rules.js) ----------
+const RULE_CONTROL_IDS = [
+  'rulesPreset','rulesSaveBtn','rulesDeleteBtn','startCards','endCards','roundOrder','customRounds',
+  'longestWordBonus','longestWordPoints','longestWordTies','mostWordsBonus','mostWordsPoints','mostWordsTies',
+  'goingOutBonus','goingOutPoints','negativeRoundScores','challengeFailedPenalty','challengeLostPenalty','challengePenaltyPoints','godChallenge',
+  'excludeQualifiers',
+];
+
+// Rules as entered in the pre-game form (validated with normalizeRules when the game starts)
+function readRulesFromControls() {
+  const val = id => document.getElementById(id)?.value;
+  const checked = id => !!document.getElementById(id)?.checked;
+  return {
+    startCards: +(val('startCards') || 3),
+    endCards: +(val('endCards') || 10),
+    rounds: val('roundOrder') || 'up',
+    customRounds: val('roundOrder') === 'custom' ? parseRoundList(val('customRounds')) : [],
+    longestWord: { enabled: checked('longestWordBonus'), points: +(val('longestWordPoints') || 0), ties: val('longestWordTies') || 'none' },
+    mostWords: { enabled: checked('mostWordsBonus'), points: +(val('mostWordsPoints') || 0), ties: val('mostWordsTies') || 'none' },
+    goingOut: { enabled: checked('goingOutBonus'), points: +(val('goingOutPoints') || 0) },
+    negativeRoundScores: checked('negativeRoundScores'),
+    excludeQualifiers: parseQualifierList(val('excludeQualifiers')),
+    challenge: {
+      failed: val('challengeFailedPenalty') || 'word',
+      lost: val('challengeLostPenalty') || 'word',
+      points: +(val('challengePenaltyPoints') || 0),
+      god: checked('godChallenge'),
+    },
+  };
+}
+
+function applyRulesToControls(r, presetId = null) {
+  const set = (id, v) => { const el = document.getElementById(id); if (el) el.value = v; };
+  const check = (id, v) => { const el = document.getElementById(id); if (el) el.checked = !!v; };
+  renderRulePresetOptions(presetId);
+  set('startCards', r.startCards);
+  set('endCards', r.endCards);
+  set('roundOrder', r.rounds);
+  if (r.rounds === 'custom') set('customRounds', r.customRounds.join(', '));
+  check('longestWordBonus', r.longestWord.enabled);
+  set('longestWordPoints', r.longestWord.points);
+  set('longestWordTies', r.longestWord.ties);
+  check('mostWordsBonus', r.mostWords.enabled);
+  set('mostWordsPoints', r.mostWords.points);
+  set('mostWordsTies', r.mostWords.ties);
+  check('goingOutBonus', r.goingOut.enabled);
+  set('goingOutPoints', r.goingOut.points);
+  check('negativeRoundScores', r.negativeRoundScores);
+  set('challengeFailedPenalty', r.challenge.failed);
+  set('challengeLostPenalty', r.challenge.lost);
+  set('challengePenaltyPoints', r.challenge.points);
+  check('godChallenge', r.challenge.god);
+  set('excludeQualifiers', r.excludeQualifiers.join(', '));
+  updateBonusInputs();
+  updateRoundOrderInputs();
+  updateRulesPresetNote();
+}
+
+function setRulesControlsDisabled(disabled) {
+  RULE_CONTROL_IDS.forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.disabled = disabled;
+  });
+  if (!disabled) { updateBonusInputs(); updateRoundOrderInputs(); }
+}
+
+function renderRulePresetOptions(current = null) {
+  const sel = document.getElementById('rulesPreset');
+  if (!sel) return;
+  const keep = current || sel.value || DEFAULT_RULE_PRESET_ID;
+  sel.innerHTML = listRulePresets()
+    .map(p => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)}</option>`)
+    .join('');
+  sel.value = getRulePreset(keep) ? keep : DEFAULT_RULE_PRESET_ID;
+}
+
+function setRulesMsg(text, isError = false) {
+  const el = document.getElementById('rulesMsg');
+  if (!el) return;
+  el.textContent = text;
+  el.classList.toggle('text-red-600', isError);
+  el.classList.toggle('text-gray-600', !isError);
+}
+
+// Flag when the form no longer matches the selected preset
+function updateRulesPresetNote() {
+  const preset = getRulePreset(document.getElementById('rulesPreset')?.value);
+  if (!preset) return;
+  let same = false;
+  try { same = rulesEqual(preset.rules, readRulesFromControls()); } catch {}
+  setRulesMsg(same ? '' : `Modified from "${preset.name}"`);
+}
+
+// One-time wiring for the preset picker and the rule inputs
+function initRulesControls() {
+  renderRulePresetOptions();
+  const sel = document.getElementById('rulesPreset');
+  sel?.addEventListener('change', () => {
+    const preset = getRulePreset(sel.value);
+    if (!preset || gameStarted) return;
+    applyRulesToControls(preset.rules, preset.id);
+    savePreGameConfig();
+  });
+  RULE_CONTROL_IDS.filter(id => id !== 'rulesPreset').forEach(id => {
+    const el = document.getElementById(id);
+    el?.addEventListener(el.tagName === 'SELECT' || el.type === 'checkbox' ? 'change' : 'input', updateRulesPresetNote);
+  });
+
+  document.getElementById('rulesSaveBtn')?.addEventListener('click', () => {
+    if (gameStarted) return;
+    const current = getRulePreset(sel?.value);
+    const name = prompt('Save these rules as a preset named:', current && !current.builtIn ? current.name : '');
+    if (name == null) return;
+    try {
+      const preset = saveRulePreset(name, normalizeRules(readRulesFromControls()));
+      renderRulePresetOptions(preset.id);
+      savePreGameConfig();
+      setRulesMsg(`Saved "${preset.name}".`);
+    } catch (e) {
+      setRulesMsg(String(e.message || e), true);
+    }
+  });
+
+  document.getElementById('rulesDeleteBtn')?.addEventListener('click', () => {
+    if (gameStarted) return;
+    const preset = getRulePreset(sel?.value);
+    if (!preset || preset.builtIn) { setRulesMsg('Built-in presets cannot be deleted.', true); return; }
+    if (!confirm(`Delete the rules preset "${preset.name}"?`)) return;
+    removeRulePreset(preset.id);
+    renderRulePresetOptions(DEFAULT_RULE_PRESET_ID);
+    savePreGameConfig();
+    setRulesMsg(`Deleted "${preset.name}".`);
+  });
+}
+
+// Saves from before rule presets kept the bonus settings as separate fields (classic rules otherwise)
+function rulesFromSave(data) {
+  try {
+    if (data.rules) return normalizeRules(data.rules);
+    return normalizeRules({
+      startCards: +data.startCards || 3,
+      endCards: +data.maxRound || 10,
+      longestWord: { enabled: !!data.longestWordBonus, points: +data.longestWordPoints || 0 },
+      mostWords: { enabled: !!data.mostWordsBonus, points: +data.mostWordsPoints || 0 },
+    });
+  } catch (e) {
+    console.warn('Saved rules invalid; using classic rules', e);
+    return normalizeRules(getRulePreset(DEFAULT_RULE_PRESET_ID).rules);
   }
 }
 
@@ -349,7 +1100,7 @@ function startGame() {
     .split(',')
     .map(p => p.trim())
     .filter(p => p.length > 0)
-    .map(p => p.charAt(0).toUpperCase() + p.slice(1).toLowerCase());
+    .map(formatPlayerName);
 
   // Normalize players input display to include a space after commas
   const pInputNorm = document.getElementById('playersInput');
@@ -375,34 +1126,63 @@ function startGame() {
     alert('Starting number of cards cannot be greater than ending number of cards.');
     return;
   }
-  startCards = rawStart;
-  maxRound = rawEnd;
+  // Team mode: every player on exactly one team
+  let parsedTeams = [];
+  if (document.getElementById('teamMode')?.checked) {
+    const res = parseTeamsInput(document.getElementById('teamsInput')?.value, players);
+    if (res.error) {
+      alert(res.error);
+      return;
+    }
+    parsedTeams = res.teams;
+  }
+  let gameRules;
+  try {
+    gameRules = normalizeRules(readRulesFromControls());
+  } catch (e) {
+    alert(e.message);
+    return;
+  }
+  const wordList = getWordList(document.getElementById('wordListSelect')?.value) || getWordList(STANDARD_WORD_LIST_ID);
+  if (wordList.loadError) {
+    alert(`${wordList.loadError} Pick another word list.`);
+    return;
+  }
+  rules = gameRules;
+  startCards = roundSequence(rules)[0]; // first hand
+  maxRound = Math.max(...roundSequence(rules)); // largest hand (solver trie depth)
+  teams = parsedTeams;
+  teamBonusScope = document.getElementById('teamBonusScope')?.value === 'player' ? 'player' : 'team';
+  gameId = newGameId();
+  gameStartedAt = new Date().toISOString();
+  gameEndedAt = null;
+  clearUndoJournal();
   dictSource = document.getElementById('dictApiAlso')?.checked ? 'api' : 'local';
+  setActiveDeck(document.getElementById('deckSelect')?.value || STANDARD_DECK_ID);
+  setActiveWordList(wordList.id);
+  missingWordList = null;
+  loadWordList(wordList).catch(e => console.warn(e.message)); // lazy lists finish loading in the background
 
   // Reset all global variables to initial state (after validation)
   gameStarted = true;
   gameOver = false;
   scores = {};
+  formerPlayers = [];
+  startingScores = {};
   currentRound = startCards;
   roundsData = [];
   currentDealerIdx = 0;
-  longestWordBonus = document.getElementById('longestWordBonus').checked;
-  mostWordsBonus = document.getElementById('mostWordsBonus').checked;
-  longestWordPoints = +document.getElementById('longestWordPoints').value;
-  mostWordsPoints = +document.getElementById('mostWordsPoints').value;
 
   // Initialize player scores
   players.forEach(player => scores[player] = 0);
 
   // Disable inputs after initial setup and hide pre-game block
   document.getElementById('playersInput').disabled = true;
-  document.getElementById('longestWordBonus').disabled = true;
-  document.getElementById('mostWordsBonus').disabled = true;
-  document.getElementById('longestWordPoints').disabled = true;
-  document.getElementById('mostWordsPoints').disabled = true;
-  document.getElementById('startCards').disabled = true; // NEW
-  document.getElementById('endCards').disabled = true;   // NEW
+  setRulesControlsDisabled(true);
   const apiAlso = document.getElementById('dictApiAlso'); if (apiAlso) apiAlso.disabled = true; // UPDATED
+  setDeckControlsDisabled(true);
+  setWordListControlsDisabled(true);
+  reflectTeamInputs(true);
   document.getElementById('preGameConfig')?.classList.add('hidden');
 
   // Clear previous game state from UI
@@ -444,7 +1224,7 @@ function startGame() {
  */
 function setupRound() {
   const dealer = players[currentDealerIdx % players.length];
-  document.getElementById('roundHeader').innerText = `Round ${currentRound} Cards`;
+  document.getElementById('roundHeader').innerText = roundHeaderText(currentRound, roundsData.length);
 
   document.getElementById('scoreInputs').innerHTML = `
     <div class="text-sm text-gray-500 mb-2">Enter words separated by spaces (parentheses for digraphs, '-' prefix for unused). Round auto-advances after all players submit.</div>
@@ -452,6 +1232,7 @@ function setupRound() {
       <div class="player-input-row mb-2 flex items-center gap-2">
         <label for="player-words-${i}" class="font-semibold w-24 md:w-28 lg:w-32 shrink-0 whitespace-nowrap overflow-hidden text-ellipsis pr-1 flex items-center">${player}${player === dealer ? `<span class="dealer-indicator ml-0.5" aria-label="${player} deals round ${currentRound}" data-tippy-content="${player} deals round ${currentRound}">${DEALER_EMOJI}</span>` : ''}</label>
         <input id="player-words-${i}" class="player-words flex-1 min-w-0 w-full p-2 border rounded text-left" data-player="${player}" placeholder="e.g., (qu)ick(er) bad -e(th)">
+        ${wentOutButtonHTML(player, false)}
         <button type="button" class="submit-player-btn px-2 py-1 text-sm bg-emerald-600 hover:bg-emerald-700 text-white rounded" data-player="${player}" title="Submit ${player}'s play">Submit</button>
       </div>
     `).join('')}`;
@@ -477,25 +1258,29 @@ function setupRound() {
       if (!gameOver) submitPlayerPlay(btn.dataset.player);
     });
   });
+  wireWentOutButtons();
   const firstInput = document.querySelector('.player-words');
   if (firstInput) { firstInput.focus(); firstInput.select?.(); }
   currentDealerIdx++;
   currentRoundDraftInputs = {}; // NEW reset draft for new round
+  currentRoundDraftWentOut = null;
 }
 
 // NEW: Rebuild current round input UI from an existing unfinalized round (on reload)
 function rebuildInputsFromExistingRound(round) {
   if (!round) return;
   const dealer = round.dealer;
-  document.getElementById('roundHeader').innerText = `Round ${round.roundNum} Cards`;
+  document.getElementById('roundHeader').innerText = roundHeaderText(round.roundNum, roundsData.indexOf(round));
+  const dealtIn = players.filter(p => Array.isArray(round.players[p])); // players added mid-round sit it out
   document.getElementById('scoreInputs').innerHTML = `
     <div class="text-sm text-gray-500 mb-2">Round in progress. Edit & resubmit a single player as needed; challenges reset for that player's changed words. Enter submits just that player.</div>
-    ${players.map((player, i) => {
+    ${dealtIn.map((player, i) => {
       const existing = (round.players[player] || []).map(w=>w.text).join(' ');
       return `
       <div class=\"player-input-row mb-2 flex items-center gap-2\">
         <label for=\"player-words-${i}\" class=\"font-semibold w-24 md:w-28 lg:w-32 shrink-0 whitespace-nowrap overflow-hidden text-ellipsis pr-1 flex items-center\">${player}${player === dealer ? `<span class=\"dealer-indicator ml-0.5\" aria-label=\"${player} deals round ${currentRound}\" data-tippy-content=\"${player} deals round ${currentRound}\">${DEALER_EMOJI}</span>` : ''}</label>
         <input id=\"player-words-${i}\" class=\"player-words flex-1 min-w-0 w-full p-2 border rounded text-left\" data-player=\"${player}\" value=\"${existing.replace(/"/g,'&quot;')}\" placeholder=\"e.g., (qu)ick(er) bad -e(th)\">
+        ${wentOutButtonHTML(player, round.wentOut === player)}
         <button type=\"button\" class=\"submit-player-btn px-2 py-1 text-sm bg-emerald-600 hover:bg-emerald-700 text-white rounded\" data-player=\"${player}\" title=\"Submit ${player}'s play\">Submit</button>
       </div>`;
     }).join('')}`;
@@ -515,6 +1300,7 @@ function rebuildInputsFromExistingRound(round) {
   document.querySelectorAll('.submit-player-btn').forEach(btn => {
     btn.addEventListener('click', () => { if (!gameOver) submitPlayerPlay(btn.dataset.player); });
   });
+  wireWentOutButtons();
   currentRoundDraftInputs = Object.assign({}, currentRoundDraftInputs); // ensure object
   // Reapply any draft into inputs (players not yet submitted)
   setTimeout(() => {
@@ -531,16 +1317,8 @@ function rebuildInputsFromExistingRound(round) {
 // PARTIAL ROUND: per-player submission
 function submitPlayerPlay(playerName) {
   if (gameOver || !playerName) return;
-  // Find existing unfinalized round for currentRound
-  let round = roundsData.find(r => r.roundNum === currentRound && r.finalized === false);
-  if (!round) {
-    // Create new in-progress round (first submission for this round)
-    const roundDealer = players[(currentDealerIdx - 1 + players.length) % players.length];
-    round = { roundNum: currentRound, dealer: roundDealer, players: {}, finalized: false, submittedPlayers: {} };
-    // Seed empty arrays for consistency
-    players.forEach(p => round.players[p] = round.players[p] || []);
-    roundsData.push(round);
-  }
+  recordUndo(`Submit ${playerName}`);
+  const round = ensureCurrentRound();
   // Read input value for this player
   let inputEl = null;
   document.querySelectorAll('.player-words').forEach(inp => { if (inp.dataset.player === playerName) inputEl = inp; });
@@ -563,19 +1341,7 @@ function submitPlayerPlay(playerName) {
   saveGameState();
 
   // Auto-finalize when all players submitted
-  const allSubmitted = players.every(p => round.submittedPlayers[p]);
-  if (allSubmitted) {
-    round.finalized = true;
-    recalculateScores();
-    updatePreviousRounds();
-    saveGameState();
-    if (currentRound < maxRound) {
-      currentRound += 1;
-      setupRound();
-      saveGameState();
-    } else {
-      endGame(true);
-    }
+  if (finalizeRoundIfComplete(round)) {
     return; // stop focusing logic; new round (or game end) handled
   }
 
@@ -592,6 +1358,448 @@ function submitPlayerPlay(playerName) {
   }
 }
 
+// Find the unfinalized round for currentRound, or create it (first submission), taking over the draft 🏁 marker
+function ensureCurrentRound() {
+  let round = roundsData.find(r => r.roundNum === currentRound && r.finalized === false);
+  if (!round) {
+    const roundDealer = players[(currentDealerIdx - 1 + players.length) % players.length];
+    const wentOut = players.includes(currentRoundDraftWentOut) ? currentRoundDraftWentOut : null;
+    currentRoundDraftWentOut = null;
+    round = { roundNum: currentRound, dealer: roundDealer, wentOut, players: {}, finalized: false, submittedPlayers: {} };
+    // Seed empty arrays for consistency
+    players.forEach(p => round.players[p] = round.players[p] || []);
+    roundsData.push(round);
+  }
+  return round;
+}
+
+// Mark (or, if already marked, clear) the player who went out first in a round. With no round (nobody has
+// submitted yet) the marker stays a draft, so the roster and the deal can still change before play counts.
+function toggleWentOut(round, player) {
+  if (!roundRoster(round).includes(player)) return;
+  const clearing = (round ? round.wentOut : currentRoundDraftWentOut) === player;
+  recordUndo(clearing ? `Clear went out (${player})` : `${player} went out`);
+  if (round) round.wentOut = clearing ? null : player;
+  else currentRoundDraftWentOut = clearing ? null : player;
+  recalculateScores();
+  updatePreviousRounds();
+  syncWentOutButtons();
+  saveGameState();
+}
+
+// Current round input row: 🏁 toggle per player
+function wentOutButtonHTML(player, on) {
+  return `<button type="button" class="went-out-btn px-1.5 py-1 text-sm rounded border ${on ? 'bg-amber-100 border-amber-400' : 'border-transparent opacity-50 hover:opacity-100'}" data-player="${player}" aria-pressed="${on}" title="${player} went out first">🏁</button>`;
+}
+
+function syncWentOutButtons() {
+  const round = openCurrentRound();
+  const marked = (round ? round.wentOut : currentRoundDraftWentOut) || null;
+  document.querySelectorAll('#scoreInputs .went-out-btn').forEach(btn => {
+    const on = btn.dataset.player === marked;
+    btn.setAttribute('aria-pressed', String(on));
+    ['bg-amber-100', 'border-amber-400'].forEach(c => btn.classList.toggle(c, on));
+    ['border-transparent', 'opacity-50', 'hover:opacity-100'].forEach(c => btn.classList.toggle(c, !on));
+  });
+}
+
+function wireWentOutButtons() {
+  document.querySelectorAll('#scoreInputs .went-out-btn').forEach(btn => {
+    btn.addEventListener('click', () => { if (!gameOver) toggleWentOut(openCurrentRound(), btn.dataset.player); });
+  });
+}
+
+// Finalize the round once every seated player dealt into it has submitted, then advance (or end the game)
+function finalizeRoundIfComplete(round) {
+  if (!round || round.finalized !== false) return false;
+  const waitingOn = roundRoster(round).filter(p => players.includes(p));
+  if (!waitingOn.every(p => round.submittedPlayers[p])) return false;
+  round.finalized = true;
+  recalculateScores();
+  updatePreviousRounds();
+  saveGameState();
+  if (advanceRound()) {
+    setupRound();
+    saveGameState();
+  } else {
+    endGame(true);
+  }
+  return true;
+}
+
+// Move currentRound to the next hand size in the game's round sequence (rules.js roundSequence). Every played
+// or skipped round has an entry in roundsData, so the next position is roundsData.length.
+// Returns false when the sequence is finished.
+function advanceRound() {
+  const seq = roundSequence(rules);
+  if (roundsData.length >= seq.length) return false;
+  currentRound = seq[roundsData.length];
+  return true;
+}
+
+// "Round 7 Cards", plus the position in the sequence when hands don't simply go up one at a time, plus a warning
+// while the game's word list is missing on this device
+function roundHeaderText(cards, position) {
+  const seq = roundSequence(rules);
+  const text = rules.rounds === 'up' ? `Round ${cards} Cards` : `Round ${cards} Cards (${position + 1} of ${seq.length})`;
+  if (!missingWordList) return text;
+  return `${text} — ⚠ word list "${missingWordList.name}" is not on this device; words are ruled with ${activeWordList().name}`;
+}
+
+// ---------- Player management (mid-game) ----------
+// Rosters:
+// - players: seated players in dealing order; formerPlayers: players who left (kept for scoring and history).
+// - A round's roster is whoever has a row in it. Rows are created for all seated players when a round starts,
+//   so a player added mid-round sits that round out and a player who left keeps their earlier rows.
+function formatPlayerName(name) {
+  const p = String(name || '').trim();
+  return p.charAt(0).toUpperCase() + p.slice(1).toLowerCase();
+}
+
+function allPlayers() {
+  return [...players, ...formerPlayers.filter(p => !players.includes(p))];
+}
+
+// Players with a row in this round, in seating order (no round yet: everyone seated)
+function roundRoster(round) {
+  if (!round || !round.players) return players.slice();
+  return allPlayers().filter(p => Array.isArray(round.players[p]));
+}
+
+function openCurrentRound() {
+  return roundsData.find(r => r.roundNum === currentRound && r.finalized === false && !r.skipped) || null;
+}
+
+// Dealer of the current round (recorded on the round once someone submits; otherwise from the rotation)
+function currentRoundDealer() {
+  const round = openCurrentRound();
+  if (round && round.dealer) return round.dealer;
+  return players.length ? players[(currentDealerIdx - 1 + players.length) % players.length] : null;
+}
+
+// Keep the deal rotating after a roster change. `dealer` is the current round's dealer (already renamed).
+// A seated dealer keeps the deal; if the dealer left, the next seated player in the old order deals next,
+// or takes over this round's deal when nobody has submitted yet.
+function reseatDealer(oldOrder, dealer) {
+  if (!players.length) { currentDealerIdx = 0; return; }
+  if (players.includes(dealer)) { currentDealerIdx = players.indexOf(dealer) + 1; return; }
+  const from = oldOrder.indexOf(dealer);
+  let next = players[0];
+  for (let k = 1; k <= oldOrder.length; k++) {
+    const cand = oldOrder[(from + k) % oldOrder.length];
+    if (players.includes(cand)) { next = cand; break; }
+  }
+  currentDealerIdx = players.indexOf(next) + (openCurrentRound() ? 0 : 1);
+}
+
+// Re-render the current round inputs for the new roster, keeping typed drafts
+function refreshCurrentRoundInputs() {
+  if (gameOver) return;
+  const drafts = Object.fromEntries(Object.entries(currentRoundDraftInputs).filter(([p]) => players.includes(p)));
+  const round = openCurrentRound();
+  if (round) {
+    currentRoundDraftInputs = drafts;
+    rebuildInputsFromExistingRound(round);
+    return;
+  }
+  const draftWentOut = players.includes(currentRoundDraftWentOut) ? currentRoundDraftWentOut : null;
+  currentDealerIdx = (currentDealerIdx - 1 + players.length) % players.length; // setupRound re-increments
+  setupRound();
+  currentRoundDraftInputs = drafts;
+  currentRoundDraftWentOut = draftWentOut;
+  syncWentOutButtons();
+  Object.entries(drafts).forEach(([p, val]) => {
+    const inp = document.querySelector(`.player-words[data-player="${p}"]`);
+    if (inp && !inp.value) inp.value = val;
+  });
+}
+
+function afterRosterChange() {
+  recalculateScores();
+  updatePreviousRounds();
+  if (!finalizeRoundIfComplete(openCurrentRound())) refreshCurrentRoundInputs();
+  saveGameState();
+  renderPlayersDialog();
+}
+
+function playerNameError(name, { except = null } = {}) {
+  if (!name) return 'Enter a name.';
+  if (/[<>"&]/.test(name)) return 'Names cannot contain < > " or &.';
+  if (name !== except && players.includes(name)) return `${name} is already playing.`;
+  return '';
+}
+
+/**
+ * Seat a new player (or bring back one who left). They join at the next deal: immediately if nobody has
+ * submitted this round yet, otherwise from the next round.
+ * policy: 'zero' | 'lowest' (lowest current total) | 'average' (rounded average total) | 'custom' (points)
+ */
+function addPlayer(rawName, { policy = 'zero', points = 0, team = null } = {}) {
+  if (!gameStarted || gameOver) return 'The game is not in progress.';
+  const name = formatPlayerName(rawName);
+  const err = playerNameError(name);
+  if (err) return err;
+  const returning = formerPlayers.includes(name);
+  // Team mode: newcomers pick a team; returning players rejoin their old one
+  const joinTeam = teams.length && !teamOf(name) ? teams.find(t => t.name === team) : null;
+  if (teams.length && !teamOf(name) && !joinTeam) return `Choose a team for ${name}.`;
+  recordUndo(returning ? `Return ${name}` : `Add ${name}`);
+  const oldOrder = players.slice();
+  const dealer = currentRoundDealer();
+  if (returning) {
+    formerPlayers = formerPlayers.filter(p => p !== name); // keeps their score and past rounds
+  } else {
+    const totals = players.map(p => scores[p] || 0);
+    const head = policy === 'lowest' ? Math.min(...totals)
+      : policy === 'average' ? Math.round(totals.reduce((a, b) => a + b, 0) / Math.max(1, totals.length))
+      : policy === 'custom' ? (Number.isFinite(+points) ? Math.round(+points) : 0)
+      : 0;
+    if (head) startingScores[name] = head;
+  }
+  if (joinTeam) joinTeam.members.push(name);
+  players.push(name);
+  reseatDealer(oldOrder, dealer);
+  afterRosterChange();
+  return '';
+}
+
+/**
+ * Remove a seated player. Their finalized rows (and any submitted row this round) stay and keep scoring;
+ * an unsubmitted row in the round in progress is dropped so the round can finish without them.
+ */
+function removePlayer(name) {
+  if (!gameStarted || gameOver || !players.includes(name)) return 'The game is not in progress.';
+  if (players.length <= 1) return 'At least one player must remain.';
+  recordUndo(`Remove ${name}`);
+  const oldOrder = players.slice();
+  const dealer = currentRoundDealer();
+  const round = openCurrentRound();
+  if (round && !round.submittedPlayers[name]) {
+    delete round.players[name];
+    if (round.wentOut === name) round.wentOut = null;
+    // Challenges they made this round no longer have a challenger to charge
+    Object.values(round.players).forEach(arr => (arr || []).forEach(w => {
+      if (w.challenger === name) { w.challenger = null; w.state = w.text.startsWith('-') ? 'invalid' : 'neutral'; }
+    }));
+  }
+  players = players.filter(p => p !== name);
+  if (!formerPlayers.includes(name)) formerPlayers.push(name);
+  delete currentRoundDraftInputs[name];
+  if (currentRoundDraftWentOut === name) currentRoundDraftWentOut = null;
+  reseatDealer(oldOrder, dealer);
+  afterRosterChange();
+  return '';
+}
+
+// Rename everywhere: rosters, teams, every round row, submissions, dealers, went-out markers, challengers, drafts and head starts
+function renamePlayer(oldName, rawNew) {
+  if (!gameStarted || !allPlayers().includes(oldName)) return 'Unknown player.';
+  const name = formatPlayerName(rawNew);
+  if (name === oldName) return '';
+  const err = playerNameError(name, { except: oldName }) || (formerPlayers.includes(name) ? `${name} already played in this game.` : '');
+  if (err) return err;
+  recordUndo(`Rename ${oldName} to ${name}`);
+  const swap = p => (p === oldName ? name : p);
+  const renameKeys = obj => Object.fromEntries(Object.entries(obj || {}).map(([k, v]) => [swap(k), v]));
+  players = players.map(swap);
+  formerPlayers = formerPlayers.map(swap);
+  teams.forEach(t => { t.members = t.members.map(swap); });
+  startingScores = renameKeys(startingScores);
+  currentRoundDraftInputs = renameKeys(currentRoundDraftInputs);
+  if (currentRoundDraftWentOut) currentRoundDraftWentOut = swap(currentRoundDraftWentOut);
+  roundsData.forEach(r => {
+    r.players = renameKeys(r.players);
+    r.submittedPlayers = renameKeys(r.submittedPlayers);
+    if (r.dealer) r.dealer = swap(r.dealer);
+    if (r.wentOut) r.wentOut = swap(r.wentOut);
+    (r.challengeLog || []).forEach(e => { e.player = swap(e.player); if (e.challenger) e.challenger = swap(e.challenger); });
+    Object.values(r.players).forEach(arr => (arr || []).forEach(w => { if (w.challenger) w.challenger = swap(w.challenger); }));
+  });
+  // Seating order and dealer index are unchanged
+  recalculateScores();
+  updatePreviousRounds();
+  if (!gameOver) refreshCurrentRoundInputs();
+  saveGameState();
+  renderPlayersDialog();
+  return '';
+}
+
+// --- Players dialog ---
+function renderPlayersDialog() {
+  const list = document.getElementById('playersDialogList');
+  if (!list) return;
+  const dealer = currentRoundDealer();
+  const round = openCurrentRound();
+  const seated = players.map(p => {
+    const sitsOut = round && !Array.isArray(round.players[p]);
+    const notes = [
+      teamOf(p) || '',
+      p === dealer ? `${DEALER_EMOJI} dealing` : '',
+      sitsOut ? 'joins next round' : '',
+    ].filter(Boolean).join(' · ');
+    return `
+      <li class="flex items-center gap-2 py-1" data-player-row="${p}">
+        <input type="text" value="${p}" class="border rounded px-2 py-1 w-40" aria-label="Name for ${p}" data-rename-input="${p}">
+        <button type="button" data-rename="${p}" class="text-sm bg-gray-200 hover:bg-gray-300 rounded px-2 py-1">Rename</button>
+        <button type="button" data-remove="${p}" class="text-sm bg-gray-200 hover:bg-red-200 rounded px-2 py-1" ${players.length <= 1 || gameOver ? 'disabled' : ''}>Remove</button>
+        <span class="tabular-nums text-gray-600 ml-auto">${scores[p] || 0}</span>
+        <span class="text-xs text-gray-500 w-36">${notes}</span>
+      </li>`;
+  }).join('');
+  const former = formerPlayers.length
+    ? `<div class="mt-2 text-xs text-gray-500">Left the game: ${formerPlayers.map(p => `${p} (${scores[p] || 0})`).join(', ')}. Add a name again to bring them back.</div>`
+    : '';
+  list.innerHTML = `<ul>${seated}</ul>${former}`;
+  const addRow = document.getElementById('playersDialogAdd');
+  if (addRow) addRow.classList.toggle('hidden', gameOver);
+  const teamSel = document.getElementById('addPlayerTeam');
+  if (teamSel) {
+    const keep = teamSel.value;
+    teamSel.innerHTML = teams.map(t => `<option value="${t.name}">${t.name}</option>`).join('');
+    if (teams.some(t => t.name === keep)) teamSel.value = keep;
+    teamSel.classList.toggle('hidden', !teams.length);
+  }
+}
+
+function setPlayersDialogMsg(text) {
+  const el = document.getElementById('playersDialogMsg');
+  if (el) el.textContent = text || '';
+}
+
+function openPlayersDialog() {
+  if (!gameStarted) return;
+  const modal = document.getElementById('playersModal');
+  if (!modal) return;
+  setPlayersDialogMsg('');
+  renderPlayersDialog();
+  modal.classList.remove('hidden'); modal.classList.add('flex');
+  document.getElementById('addPlayerName')?.focus();
+}
+
+function closePlayersDialog() {
+  const modal = document.getElementById('playersModal');
+  if (modal) { modal.classList.add('hidden'); modal.classList.remove('flex'); }
+}
+
+function initPlayersDialog() {
+  const modal = document.getElementById('playersModal');
+  if (!modal) return;
+  document.getElementById('managePlayersBtn')?.addEventListener('click', openPlayersDialog);
+  document.getElementById('playersDialogClose')?.addEventListener('click', closePlayersDialog);
+  modal.addEventListener('click', (e) => { if (e.target === modal) closePlayersDialog(); });
+  document.addEventListener('keydown', (e) => { if (e.key === 'Escape' && !modal.classList.contains('hidden')) closePlayersDialog(); });
+
+  const policy = document.getElementById('addPlayerPolicy');
+  const pts = document.getElementById('addPlayerPoints');
+  policy?.addEventListener('change', () => pts?.classList.toggle('hidden', policy.value !== 'custom'));
+
+  const doAdd = () => {
+    const nameEl = document.getElementById('addPlayerName');
+    const err = addPlayer(nameEl?.value, {
+      policy: policy?.value || 'zero',
+      points: +(pts?.value || 0),
+      team: document.getElementById('addPlayerTeam')?.value || null,
+    });
+    setPlayersDialogMsg(err);
+    if (!err && nameEl) { nameEl.value = ''; nameEl.focus(); }
+  };
+  document.getElementById('addPlayerBtn')?.addEventListener('click', doAdd);
+  document.getElementById('addPlayerName')?.addEventListener('keydown', (e) => { if (e.key === 'Enter') { e.preventDefault(); doAdd(); } });
+
+  document.getElementById('playersDialogList')?.addEventListener('click', (e) => {
+    const ren = e.target.closest('[data-rename]');
+    const rem = e.target.closest('[data-remove]');
+    if (ren) {
+      const old = ren.getAttribute('data-rename');
+      const input = document.querySelector(`[data-rename-input="${old}"]`);
+      setPlayersDialogMsg(renamePlayer(old, input?.value));
+    } else if (rem) {
+      const name = rem.getAttribute('data-remove');
+      if (!confirm(`Remove ${name} from the game? Their past rounds stay on the scoreboard.`)) return;
+      setPlayersDialogMsg(removePlayer(name));
+    }
+  });
+}
+
+// ---------- Teams ----------
+// Team mode is set up before the game: the player list stays the seating/dealing order and each line of the
+// teams box assigns players to a team ("Red: Alice, Bob"). Scores are still kept per player; a team's total is
+// the sum of its members' totals (including members who left). With teamBonusScope 'team' the longest/most-words
+// bonuses are contested between teams instead of players (see recalculateScores).
+function parseTeamsInput(text, seated) {
+  const list = [];
+  const assigned = new Map();
+  const lines = String(text || '').split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  for (const line of lines) {
+    const colon = line.indexOf(':');
+    const name = (colon >= 0 ? line.slice(0, colon).trim() : '') || `Team ${list.length + 1}`;
+    const members = (colon >= 0 ? line.slice(colon + 1) : line)
+      .split(',').map(p => p.trim()).filter(Boolean).map(formatPlayerName);
+    if (/[<>"&]/.test(name)) return { error: 'Team names cannot contain < > " or &.' };
+    if (list.some(t => t.name === name)) return { error: `Team "${name}" is listed twice.` };
+    if (!members.length) return { error: `Team "${name}" has no players.` };
+    for (const m of members) {
+      if (!seated.includes(m)) return { error: `${m} (team ${name}) is not in the player list.` };
+      if (assigned.has(m)) return { error: `${m} is on both ${assigned.get(m)} and ${name}.` };
+      assigned.set(m, name);
+    }
+    list.push({ name, members });
+  }
+  if (list.length < 2) return { error: 'Team mode needs at least two teams, one per line (e.g. "Red: Alice, Bob").' };
+  const missing = seated.filter(p => !assigned.has(p));
+  if (missing.length) return { error: `Put every player on a team (missing: ${missing.join(', ')}).` };
+  return { teams: list };
+}
+
+function formatTeamsInput(list) {
+  return list.map(t => `${t.name}: ${t.members.join(', ')}`).join('\n');
+}
+
+function teamOf(player) {
+  return teams.find(t => t.members.includes(player))?.name || null;
+}
+
+// Teams with their members' totals, highest first
+function teamStandings() {
+  return teams.map(t => {
+    const members = t.members
+      .map(player => ({ player, score: scores[player] || 0 }))
+      .sort((a, b) => b.score - a.score);
+    return { name: t.name, total: members.reduce((sum, m) => sum + m.score, 0), members };
+  }).sort((a, b) => b.total - a.total);
+}
+
+// Groups of players competing for a round's bonuses: whole teams (team bonuses) or single players
+function bonusSides(roster) {
+  if (!teams.length || teamBonusScope !== 'team') return roster.map(p => [p]);
+  const sides = new Map();
+  roster.forEach(p => {
+    const key = teamOf(p) ?? `player:${p}`;
+    if (!sides.has(key)) sides.set(key, []);
+    sides.get(key).push(p);
+  });
+  return [...sides.values()];
+}
+
+function updateTeamInputs() {
+  const on = !!document.getElementById('teamMode')?.checked;
+  document.getElementById('teamFields')?.classList.toggle('hidden', !on);
+}
+
+// Lock the pre-game team controls while a game runs (showing that game's teams), unlock on reset
+function reflectTeamInputs(locked) {
+  const mode = document.getElementById('teamMode');
+  const input = document.getElementById('teamsInput');
+  const scope = document.getElementById('teamBonusScope');
+  if (locked) {
+    if (mode) mode.checked = teams.length > 0;
+    if (input && teams.length) input.value = formatTeamsInput(teams);
+    if (scope) scope.value = teamBonusScope;
+  }
+  [mode, input, scope].forEach(el => { if (el) el.disabled = locked; });
+  updateTeamInputs();
+}
+
 // ---------- Helpers ----------
 // A word counts toward base if it's not invalid OR it's invalid with no challenger (definition-only / unchallenged).
 function eligibleForBase(word) {
@@ -630,15 +1838,82 @@ function resetRoundPlayerState(pdata) {
   pdata.bonus = 0;
   pdata.gotLongestBonus = false;
   pdata.gotMostWordsBonus = false;
+  pdata.bonusNotes = [];
+  pdata.forEach(w => { delete w.bonusTip; });
+}
+// Points a challenge costs under the game's rules ('word' = the word's points, 'fixed' = rules.challenge.points)
+function challengePenalty(mode, word) {
+  if (mode === 'word') return word.score;
+  if (mode === 'fixed') return rules.challenge.points;
+  return 0;
 }
 // Apply challenge deductions per the rules (see README for details).
 function applyChallengeDeductionsForPlayer(round, player) {
   const pdata = round.players[player];
   pdata.forEach(word => {
     if (word.state === 'valid' && word.challenger) {
-      round.players[word.challenger].challengeDeductions += word.score;
+      const challengerRow = round.players[word.challenger];
+      if (challengerRow) challengerRow.challengeDeductions += challengePenalty(rules.challenge.failed, word);
     } else if (word.state === 'invalid' && word.challenger) {
-      pdata.challengeDeductions += word.score;
+      pdata.challengeDeductions += challengePenalty(rules.challenge.lost, word);
+    }
+  });
+}
+
+// Bonus kinds: rule, row flag, icon, and how to describe the leading measure
+const ROUND_BONUSES = {
+  longest: { rule: () => rules.longestWord, flag: 'gotLongestBonus', icon: '🦒', label: 'longest word', measure: longestWordLen, unit: n => `${n} letter${n === 1 ? '' : 's'}` },
+  most: { rule: () => rules.mostWords, flag: 'gotMostWordsBonus', icon: '🥒', label: 'most words', measure: wordsCount, unit: n => `${n} word${n === 1 ? '' : 's'}` },
+};
+
+// Award one bonus among the leading sides (see bonusSides) following the rule's tie policy (rules.js).
+// The credited member of each leading side (the one who earned it; first in seating order on a tie) gets the
+// points and a note, kept on the row as bonusNotes [{ kind, icon, points, full, text }] for the row header;
+// the longest-word note is also set as bonusTip on the word(s) that earned it, for the chit tooltip.
+function awardRoundBonus(round, kind, leaders, best) {
+  const def = ROUND_BONUSES[kind];
+  const rule = def.rule();
+  if (!rule.enabled || !leaders.length) return;
+  const rowOf = p => round.players[p];
+  const credited = side => side.reduce((top, p) => (def.measure(rowOf(p)) > def.measure(rowOf(top)) ? p : top));
+  const label = side => (teams.length && teamBonusScope === 'team' && teamOf(side[0])) || side[0];
+  const others = side => leaders.filter(s => s !== side).map(label).join(', ');
+  const sidePoints = side => side.reduce((n, p) => n + rowOf(p).baseScore, 0);
+  const lead = `${def.label} (${def.unit(best)})`;
+
+  // [side, points, text] per leading side
+  let outcome;
+  if (leaders.length === 1) {
+    outcome = [[leaders[0], rule.points, `+${rule.points} ${lead}`]];
+  } else if (rule.ties === 'shared') {
+    outcome = leaders.map(s => [s, rule.points, `+${rule.points} ${lead}, tied with ${others(s)}: everyone tied gets the full bonus`]);
+  } else if (rule.ties === 'split') {
+    const each = Math.floor(rule.points / leaders.length);
+    outcome = leaders.map(s => [s, each, `+${each} ${lead}, tied with ${others(s)}: ${rule.points} points split ${leaders.length} ways`]);
+  } else if (rule.ties === 'points') {
+    const top = Math.max(...leaders.map(sidePoints));
+    const winners = leaders.filter(s => sidePoints(s) === top);
+    outcome = leaders.map(s => {
+      const mine = sidePoints(s);
+      if (!winners.includes(s)) return [s, 0, `Tied for ${lead} with ${others(s)}: lost the tiebreak on word points (${mine} vs ${top})`];
+      if (winners.length > 1) return [s, 0, `Tied for ${lead} with ${others(s)}, and on word points (${top}): no bonus`];
+      return [s, rule.points, `+${rule.points} ${lead}, tied with ${others(s)}: won the tiebreak on word points (${mine})`];
+    });
+  } else {
+    outcome = leaders.map(s => [s, 0, `Tied for ${lead} with ${others(s)}: no bonus on a tie`]);
+  }
+
+  outcome.forEach(([side, points, text]) => {
+    const p = credited(side);
+    const row = rowOf(p);
+    if (points > 0) {
+      row.bonus += points;
+      row[def.flag] = true;
+    }
+    const note = { kind, icon: def.icon, points, full: rule.points, text: `${def.icon} ${text}` };
+    row.bonusNotes.push(note);
+    if (kind === 'longest') {
+      bonusEligibleWords(row).filter(w => plainLength(w.text) === best).forEach(w => { w.bonusTip = note.text; });
     }
   });
 }
@@ -648,61 +1923,68 @@ function applyChallengeDeductionsForPlayer(round, player) {
  * Recompute every player's score across all rounds, including bonuses and challenges.
  */
 function recalculateScores() {
-  players.forEach(player => { scores[player] = 0; });
+  scores = {};
+  allPlayers().forEach(player => { scores[player] = startingScores[player] || 0; });
 
   roundsData.forEach(round => {
     if (!round || typeof round !== 'object') return;
     if (!round.players) round.players = {};
 
-    // Ensure a row exists for every current player, then reset per-round fields
-    players.forEach(player => {
+    // Ensure a row exists for everyone in this round's roster, then reset per-round fields
+    const roster = roundRoster(round);
+    roster.forEach(player => {
       if (!Array.isArray(round.players[player])) round.players[player] = [];
       resetRoundPlayerState(round.players[player]);
     });
 
-    let longestLength = 0;
-    let mostWordsCount = 0;
-    let longestPlayers = [];
-    let mostWordsPlayers = [];
-
-    players.forEach(player => {
+    roster.forEach(player => {
       const pdata = round.players[player];
       pdata.baseScore = baseScoreForPlayer(pdata);
+    });
 
-      const pLongest = longestWordLen(pdata);
-      if (pLongest > longestLength) {
-        longestLength = pLongest;
-        longestPlayers = [player];
-      } else if (pLongest === longestLength && pLongest > 0) {
-        longestPlayers.push(player);
+    // Bonuses are contested by sides: single players, or whole teams when team bonuses are on
+    // (a team's longest word is its members' longest; its word count is the members' total)
+    let longestLength = 0;
+    let mostWordsCount = 0;
+    let longestSides = [];
+    let mostWordsSides = [];
+
+    bonusSides(roster).forEach(side => {
+      const sLongest = Math.max(...side.map(p => longestWordLen(round.players[p])));
+      if (sLongest > longestLength) {
+        longestLength = sLongest;
+        longestSides = [side];
+      } else if (sLongest === longestLength && sLongest > 0) {
+        longestSides.push(side);
       }
 
-      const pCount = wordsCount(pdata);
-      if (pCount > mostWordsCount) {
-        mostWordsCount = pCount;
-        mostWordsPlayers = [player];
-      } else if (pCount === mostWordsCount && pCount > 0) {
-        mostWordsPlayers.push(player);
+      const sCount = side.reduce((n, p) => n + wordsCount(round.players[p]), 0);
+      if (sCount > mostWordsCount) {
+        mostWordsCount = sCount;
+        mostWordsSides = [side];
+      } else if (sCount === mostWordsCount && sCount > 0) {
+        mostWordsSides.push(side);
       }
     });
 
-    players.forEach(player => applyChallengeDeductionsForPlayer(round, player));
+    roster.forEach(player => applyChallengeDeductionsForPlayer(round, player));
 
-    if (longestWordBonus && longestPlayers.length === 1) {
-      const p = longestPlayers[0];
-      round.players[p].bonus += longestWordPoints;
-      round.players[p].gotLongestBonus = true;
-    }
-    if (mostWordsBonus && mostWordsPlayers.length === 1) {
-      const p = mostWordsPlayers[0];
-      round.players[p].bonus += mostWordsPoints;
-      round.players[p].gotMostWordsBonus = true;
+    awardRoundBonus(round, 'longest', longestSides, longestLength);
+    awardRoundBonus(round, 'most', mostWordsSides, mostWordsCount);
+
+    // Going out first: a flat bonus for the marked player (no ties; it's a single marker per round)
+    const out = round.wentOut && roster.includes(round.wentOut) ? round.players[round.wentOut] : null;
+    if (out && rules.goingOut.enabled) {
+      const points = rules.goingOut.points;
+      out.bonus += points;
+      out.bonusNotes.push({ kind: 'out', icon: '🏁', points, full: points, text: `🏁 +${points} went out first` });
     }
 
-    players.forEach(player => {
+    roster.forEach(player => {
       const pdata = round.players[player];
-      pdata.roundScore = Math.max(0, pdata.baseScore - pdata.challengeDeductions) + pdata.bonus;
-      scores[player] += pdata.roundScore;
+      const net = pdata.baseScore - pdata.challengeDeductions;
+      pdata.roundScore = (rules.negativeRoundScores ? net : Math.max(0, net)) + pdata.bonus;
+      scores[player] = (scores[player] || 0) + pdata.roundScore;
     });
   });
 
@@ -723,7 +2005,7 @@ function prefillPlayFor(roundIdx, playerName, e) {
 
   let oppMaxLongest = 0;
   let oppMaxMost = 0;
-  players.forEach(p => {
+  roundRoster(round).forEach(p => {
     if (p === playerName) return;
     const opData = round.players[p] || [];
     oppMaxLongest = Math.max(oppMaxLongest, longestWordLen(opData));
@@ -854,6 +2136,7 @@ function saveEdit(player, roundIdx, btn) {
   const input = cell.querySelector('.edit-input');
   const newWords = (input?.value || '').trim().split(/\s+/).filter(Boolean);
 
+  recordUndo(`Edit ${player}, round ${roundsData[roundIdx].roundNum}`);
   roundsData[roundIdx].players[player] = newWords.map(word => ({
     text: word,
     score: scoreForChit(word),
@@ -878,10 +2161,28 @@ function saveEdit(player, roundIdx, btn) {
  * Update the leaderboard list from the current totals.
  */
 function updateScores() {
-  document.getElementById('scoreTotals').innerHTML = players
-    .map(player => ({ player, score: scores[player] }))
+  const notes = player => {
+    const left = formerPlayers.includes(player) ? ' <span class="text-gray-400">(left)</span>' : '';
+    const head = startingScores[player] ? ` <span class="text-gray-400" title="Starting score when they joined">(joined with ${startingScores[player]})</span>` : '';
+    return left + head;
+  };
+  const list = document.getElementById('scoreTotals');
+  // Team mode: team subtotals with each member's contribution
+  if (teams.length) {
+    list.innerHTML = teamStandings()
+      .map(t => `
+        <li><span class="font-semibold">${t.name}: ${t.total} points</span>
+          <ul class="list-[circle] pl-5 text-sm text-gray-700">
+            ${t.members.map(({ player, score }) => `<li>${player}: ${score}${notes(player)}</li>`).join('')}
+          </ul>
+        </li>`)
+      .join('');
+    return;
+  }
+  list.innerHTML = allPlayers()
+    .map(player => ({ player, score: scores[player] || 0 }))
     .sort((a, b) => b.score - a.score)
-    .map(({ player, score }) => `<li>${player}: ${score} points</li>`)
+    .map(({ player, score }) => `<li>${player}: ${score} points${notes(player)}</li>`)
     .join('');
 }
 
@@ -889,7 +2190,10 @@ function updateScores() {
  * Toggle a word's challenge state and assign a challenger via a dropdown.
  * Flow:
  * - Click cycles from neutral → choose challenger → valid/invalid based on dictionary → neutral.
- * - 'GOD' selection marks a challenged resolution without attributing deductions to another player.
+ * - Clicking a ruled word offers to clear the challenge or overrule the dictionary with a reason
+ *   (overrideChallenge).
+ * - 'GOD' selection marks a challenged resolution without attributing deductions to another player
+ *   (offered only when the game's rules allow GOD challenges).
  */
 function toggleChallenge(btn, e) {
   e.stopPropagation();
@@ -904,27 +2208,48 @@ function toggleChallenge(btn, e) {
   if (wordObj.text.startsWith('-')) return;
 
   if (wordObj.state === 'valid' || wordObj.state === 'invalid') {
-    wordObj.state = 'neutral';
-    wordObj.challenger = null;
-    recalculateScores();
-    updatePreviousRounds();
+    const flip = wordObj.state === 'valid' ? 'invalid' : 'valid';
+    const menu = document.createElement('select');
+    menu.className = 'ml-2 p-1 border rounded challenger-dropdown';
+    menu.innerHTML = `<option value="">Ruled ${wordObj.state}${wordObj.override ? ' (overruled)' : ''}</option>` +
+      `<option value="clear">Clear challenge</option><option value="override">Overrule: make ${flip}…</option>`;
+    menu.onchange = function() {
+      const choice = this.value;
+      this.remove();
+      if (choice === 'clear') clearChallenge(roundsData[roundIdx], player, wordObj);
+      if (choice === 'override') {
+        const reason = prompt(`Why does the table rule ${wordObj.text.toUpperCase()} ${flip}?`);
+        if (reason && reason.trim()) overrideChallenge(roundsData[roundIdx], player, wordObj, flip, reason.trim());
+      }
+    };
+    showDropdown(btn, menu);
     return;
   }
 
   const challengerDropdown = document.createElement('select');
   challengerDropdown.className = 'ml-2 p-1 border rounded challenger-dropdown';
-  challengerDropdown.innerHTML = `<option value="">Select Challenger</option><option value="null">GOD</option>` +
-    players.filter(p => p !== player).map(p => `<option>${p}</option>`).join('');
+  challengerDropdown.innerHTML = `<option value="">Select Challenger</option>${rules.challenge.god ? '<option value="null">GOD</option>' : ''}` +
+    roundRoster(roundsData[roundIdx]).filter(p => p !== player).map(p => `<option>${p}</option>`).join('');
 
   challengerDropdown.onchange = async function() {
     if (this.value === '') { this.remove(); return; }
+    try { await loadWordList(activeWordList()); } catch (e) { alert(e.message); this.remove(); return; }
+    recordUndo(`Challenge ${wordObj.text.toUpperCase()}`);
+    const flag = wordObj.flag || null;
+    wordObj.flag = null; // a formal challenge replaces any "Check all words" flag
     if (this.value !== 'null') wordObj.challenger = this.value;
-    // UPDATED: Gate API validation behind local dictionary presence.
-    if (dictSource === 'api') {
+    const round = roundsData[roundIdx];
+    const logRuling = (source, local, api) => logChallenge(round, {
+      kind: 'challenge', player, word: wordObj.text, challenger: wordObj.challenger || null, result: wordObj.state,
+      source, wordList: activeWordList().name, local, api, ...(api ? { provider: activeDictionaryProvider().name } : {}), ...(flag ? { flag } : {}),
+    });
+    // UPDATED: Gate API validation behind local dictionary presence. House rulings are final (no API check).
+    if (dictSource === 'api' && !(typeof houseRuling === 'function' && houseRuling(wordObj.text))) {
       const locallyValid = validateWordLocal(wordObj.text);
       if (!locallyValid) {
         // Immediately mark invalid; do not hit API for non-local words.
         wordObj.state = 'invalid';
+        logRuling('local', false, null);
         recalculateScores();
         updatePreviousRounds();
         this.remove();
@@ -932,14 +2257,16 @@ function toggleChallenge(btn, e) {
       }
       wordObj.state = 'checking';
       updatePreviousRounds();
+      let api = 'error';
       try {
         const plain = wordObj.text
           .replace(/\([^)]*\)/g, m => m.replace(/[()]/g,''))
           .replace(/[()]/g,'')
-          .replace(/[^A-Za-z]/g,'')
+          .replace(/[^\p{L}]/gu,'')
           .toLowerCase();
         if (!plain) {
           wordObj.state = 'invalid';
+          api = null;
         } else {
           const { found, error } = await getWordDefinitionAPI(plain);
           if (error) {
@@ -947,29 +2274,62 @@ function toggleChallenge(btn, e) {
             wordObj.state = 'valid';
           } else {
             wordObj.state = found ? 'valid' : 'invalid';
+            api = found ? 'found' : 'not found';
           }
         }
       } catch {
         // On unexpected failure, default to locally valid (conservative) result.
         wordObj.state = 'valid';
       }
+      logRuling('api', true, api);
       recalculateScores();
       updatePreviousRounds();
       this.remove();
+      if (api === 'error') {
+        alert(`${activeDictionaryProvider().name} could not be reached, so ${wordObj.text.toUpperCase()} was ruled valid on the word list (${activeWordList().name}) alone. Clear the challenge and challenge again to ask the online dictionary.`);
+      }
       return;
     }
     // Local path (sync)
     wordObj.state = validateWordLocal(wordObj.text) ? 'valid' : 'invalid';
+    logRuling(typeof houseRuling === 'function' && houseRuling(wordObj.text) ? 'house' : 'local', wordObj.state === 'valid', null);
     recalculateScores();
     updatePreviousRounds();
     this.remove();
   };
 
-  btn.after(challengerDropdown);
+  showDropdown(btn, challengerDropdown);
+}
+
+function clearChallenge(round, player, wordObj) {
+  recordUndo(`Clear challenge on ${wordObj.text.toUpperCase()}`);
+  logChallenge(round, { kind: 'clear', player, word: wordObj.text, challenger: wordObj.challenger, result: wordObj.state });
+  wordObj.state = 'neutral';
+  wordObj.challenger = null;
+  wordObj.override = null;
+  recalculateScores();
+  updatePreviousRounds();
+}
+
+// The table overrules the challenge's ruling: the word takes `result` (deductions follow as for any ruling) and
+// keeps { reason, dictionary: the verdict overruled }. Overruling back to the dictionary's verdict drops it.
+function overrideChallenge(round, player, wordObj, result, reason) {
+  recordUndo(`Overrule ${wordObj.text.toUpperCase()}`);
+  logChallenge(round, { kind: 'override', player, word: wordObj.text, challenger: wordObj.challenger, result, reason });
+  const dictionary = wordObj.override ? wordObj.override.dictionary : wordObj.state;
+  wordObj.override = result === dictionary ? null : { reason, dictionary };
+  wordObj.state = result;
+  recalculateScores();
+  updatePreviousRounds();
+}
+
+// Show a dropdown next to its button; a click anywhere else closes it
+function showDropdown(btn, dropdown) {
+  btn.after(dropdown);
 
   function clickOutsideHandler(event) {
-    if (!challengerDropdown.contains(event.target)) {
-      challengerDropdown.remove();
+    if (!dropdown.contains(event.target)) {
+      dropdown.remove();
       document.removeEventListener('click', clickOutsideHandler);
     }
   }
@@ -984,6 +2344,8 @@ document.getElementById('playersInput')?.addEventListener('input', function() {
     .map(p => p.trim())
     .filter(p => p.length > 0);
 
+  // Only the classic rules pick bonuses by player count; other presets define their own
+  if ((document.getElementById('rulesPreset')?.value || DEFAULT_RULE_PRESET_ID) !== DEFAULT_RULE_PRESET_ID) return;
   const longestWordCheckbox = document.getElementById('longestWordBonus');
   const mostWordsCheckbox = document.getElementById('mostWordsBonus');
 
@@ -1010,15 +2372,140 @@ document.getElementById('playersInput')?.addEventListener('keydown', (e) => {
 });
 
 function updateBonusInputs() {
-  document.getElementById('longestWordPoints').disabled = !document.getElementById('longestWordBonus').checked;
-  document.getElementById('mostWordsPoints').disabled = !document.getElementById('mostWordsBonus').checked;
+  ['longestWord', 'mostWords', 'goingOut'].forEach(b => {
+    const off = gameStarted || !document.getElementById(`${b}Bonus`).checked;
+    document.getElementById(`${b}Points`).disabled = off;
+    const ties = document.getElementById(`${b}Ties`);
+    if (ties) ties.disabled = off;
+  });
+  const penaltyPts = document.getElementById('challengePenaltyPoints');
+  if (penaltyPts) {
+    penaltyPts.disabled = gameStarted || !['challengeFailedPenalty', 'challengeLostPenalty']
+      .some(id => document.getElementById(id)?.value === 'fixed');
+  }
+}
+
+// Custom round order: the list replaces the start/end range
+function updateRoundOrderInputs() {
+  const custom = document.getElementById('roundOrder')?.value === 'custom';
+  document.getElementById('customRounds')?.classList.toggle('hidden', !custom);
+  ['startCards', 'endCards'].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.disabled = gameStarted || custom;
+  });
 }
 
 // Initialize bonus inputs to match toggles
 updateBonusInputs();
+updateRoundOrderInputs();
+updateTeamInputs();
 
 document.getElementById('longestWordBonus')?.addEventListener('change', updateBonusInputs);
 document.getElementById('mostWordsBonus')?.addEventListener('change', updateBonusInputs);
+document.getElementById('goingOutBonus')?.addEventListener('change', updateBonusInputs);
+document.getElementById('challengeFailedPenalty')?.addEventListener('change', updateBonusInputs);
+document.getElementById('challengeLostPenalty')?.addEventListener('change', updateBonusInputs);
+document.getElementById('teamMode')?.addEventListener('change', updateTeamInputs);
+document.getElementById('roundOrder')?.addEventListener('change', updateRoundOrderInputs);
+
+// ---------- Challenge log (per round) ----------
+// round.challengeLog keeps every ruling so disputes can be settled later (it is saved and exported with the game):
+//   { at: ISO time, kind: 'challenge' | 'clear' | 'override', player, word: chit text, challenger: name | null (GOD),
+//     result: 'valid' | 'invalid' (for 'clear': the ruling withdrawn), reason (for 'override'), and for 'challenge' also
+//     source: 'house' | 'local' | 'api' (what decided), wordList: list name, local: the word list's verdict,
+//     api: 'found' | 'not found' | 'error' | null (not asked), provider?: the online dictionary asked,
+//     flag?: the "Check all words" reason it came from }
+const CHALLENGE_LOG_KINDS = ['challenge', 'clear', 'override'];
+function logChallenge(round, entry) {
+  (round.challengeLog ||= []).push({ at: new Date().toISOString(), ...entry });
+}
+
+// ---------- Check all words (per round) ----------
+// Flags the round's unchallenged words that the dictionary rejects (w.flag = reason), without ruling on them
+// or touching scores. The group then turns flags into challenges: click a flagged chit to pick a challenger,
+// or pick one challenger for all of them at once (challengeFlaggedWords).
+const API_FLAG_REASON = 'not found by the online dictionary';
+async function checkRoundWords(roundIdx) {
+  const round = roundsData[roundIdx];
+  if (!round || round.skipped || round.checking) return;
+  try { await loadWordList(activeWordList()); } catch (e) { alert(e.message); return; }
+  const targets = roundRoster(round).flatMap(p => (round.players[p] || []).filter(w => !w.text.startsWith('-') && w.state === 'neutral'));
+  const reasons = new Map(targets.map(w => [w, localWordVerdict(w.text).reason || null]));
+  round.checking = true;
+  updatePreviousRounds();
+  let unchecked = []; // words the online dictionary could not be asked about (checked on the word list only)
+  try {
+    if (dictSource === 'api') {
+      const locallyValid = targets.filter(w => !reasons.get(w));
+      if (locallyValid.length) {
+        try {
+          const { invalidPlain, unreachablePlain } = await validateWordAPIBatch(locallyValid.map(w => w.text));
+          locallyValid.forEach(w => { if (invalidPlain.has(plainWord(w.text))) reasons.set(w, API_FLAG_REASON); });
+          unchecked = locallyValid.filter(w => unreachablePlain.has(plainWord(w.text)));
+        } catch (e) {
+          console.warn('Online check failed; flags use the local word list only', e);
+          unchecked = locallyValid;
+        }
+      }
+    }
+  } finally {
+    round.checking = false;
+  }
+  recordUndo(`Check round ${round.roundNum} words`);
+  targets.forEach(w => { w.flag = reasons.get(w) || null; });
+  // Not saved: the round shows "all clear" when nothing was flagged and every word was checked
+  round.wordsChecked = unchecked.length ? 'partial' : true;
+  updatePreviousRounds();
+  saveGameState();
+  if (unchecked.length) {
+    const words = unchecked.map(w => w.text.toUpperCase()).join(', ');
+    alert(`${activeDictionaryProvider().name} could not be reached, so ${words} ${unchecked.length === 1 ? 'was' : 'were'} checked on the word list (${activeWordList().name}) alone. Check again to ask the online dictionary.`);
+  }
+}
+
+function flaggedWords(round) {
+  return roundRoster(round).flatMap(p => (round.players[p] || []).filter(w => w.flag && w.state === 'neutral'));
+}
+
+// Turn the round's flags into challenges by one challenger (null: GOD), all ruled invalid: the flag came
+// from the same dictionary check a challenge runs. The challenger's own flagged words stay flagged.
+function challengeFlaggedWords(roundIdx, challenger) {
+  const round = roundsData[roundIdx];
+  const flagged = (round ? flaggedWords(round) : []).filter(w => challenger == null || !(round.players[challenger] || []).includes(w));
+  if (!flagged.length || (challenger == null && !rules.challenge.god)) return;
+  recordUndo(`Challenge ${flagged.length} flagged word${flagged.length === 1 ? '' : 's'}`);
+  flagged.forEach(w => {
+    const online = w.flag === API_FLAG_REASON;
+    logChallenge(round, {
+      kind: 'challenge', player: roundRoster(round).find(p => (round.players[p] || []).includes(w)), word: w.text, challenger,
+      result: 'invalid', source: online ? 'api' : (typeof houseRuling === 'function' && houseRuling(w.text)) ? 'house' : 'local', wordList: activeWordList().name,
+      local: online, api: online ? 'not found' : null, ...(online ? { provider: activeDictionaryProvider().name } : {}), flag: w.flag,
+    });
+    w.state = 'invalid';
+    w.challenger = challenger;
+    w.flag = null;
+  });
+  recalculateScores();
+  updatePreviousRounds();
+  saveGameState();
+}
+
+// Challenger dropdown for "challenge all flagged" (same options as a single challenge)
+function pickFlagChallenger(btn, e) {
+  e.stopPropagation();
+  document.querySelectorAll('.challenger-dropdown').forEach(el => el.remove());
+  const roundIdx = +btn.dataset.round;
+  const dropdown = document.createElement('select');
+  dropdown.className = 'ml-1 p-1 border rounded text-xs challenger-dropdown';
+  dropdown.innerHTML = `<option value="">Challenger…</option>${rules.challenge.god ? '<option value="null">GOD</option>' : ''}` +
+    roundRoster(roundsData[roundIdx]).map(p => `<option>${p}</option>`).join('');
+  dropdown.onchange = function() {
+    const value = this.value;
+    this.remove();
+    if (value !== '') challengeFlaggedWords(roundIdx, value === 'null' ? null : value);
+  };
+  showDropdown(btn, dropdown);
+}
 
 /**
  * Render the previous rounds list and wire tooltip/dictionary handlers.
@@ -1038,7 +2525,7 @@ function updatePreviousRounds() {
     .reverse()
     .map((round, revIdx) => {
       const roundIdx = roundsData.length - 1 - revIdx;
-      return (window.QuiddlerRender?.renderRound || renderRound)(round, roundIdx, { interactive: true });
+      return (window.QuiddlerRender?.renderRound || renderRound)(round, roundIdx, { interactive: true, players: roundRoster(round) });
     })
     .join('');
 
@@ -1077,6 +2564,22 @@ function updatePreviousRounds() {
       return;
     }
 
+    if (action === 'check-round') {
+      checkRoundWords(+target.getAttribute('data-round'));
+      return;
+    }
+
+    if (action === 'challenge-flagged') {
+      pickFlagChallenger(target, e);
+      return;
+    }
+
+    if (action === 'went-out') {
+      const roundIdx = +target.getAttribute('data-round');
+      toggleWentOut(roundsData[roundIdx], target.getAttribute('data-player'));
+      return;
+    }
+
     if (action === 'prefill-play') {
       const player = target.getAttribute('data-player');
       const roundIdx = +target.getAttribute('data-round');
@@ -1118,7 +2621,16 @@ if (typeof window !== 'undefined') {
     submitPlayerPlay, // NEW export
     rebuildInputsFromExistingRound, // NEW export
     getWordDefinitionAPI, // NEW: re-export API lookup helper
-    skipRound // NEW export
+    skipRound, // NEW export
+    exportGame,
+    importGameFile,
+    undo,
+    redo,
+    addPlayer,
+    removePlayer,
+    renamePlayer,
+    openPlayersDialog,
+    validateGameFile
   });
 
   // Read-only getters for state
@@ -1126,6 +2638,9 @@ if (typeof window !== 'undefined') {
     players: {
       get() { return players.slice(); }
     },
+    formerPlayers: {
+      get() { return formerPlayers.slice(); }
+    },
     currentRound: {
       get() { return currentRound; }
     },
@@ -1138,12 +2653,15 @@ if (typeof window !== 'undefined') {
     startCards: { get() { return startCards; } },      // NEW
     endCards:   { get() { return maxRound; } },        // NEW
     dictSource: { get() { return dictSource; } },      // NEW
+    rules:      { get() { return normalizeRules(rules); } }, // copy of this game's rules (rules.js)
+    deck:       { get() { return deckDefinition(activeDeck()); } },
   });
 
   // NEW: expose a helper to clear only persisted caches (does not mutate in-memory state).
   function clearGameCacheOnly() {
     try { localStorage.removeItem(Q_STORAGE_KEY); } catch {}
     try { localStorage.removeItem(Q_PRE_CONFIG_KEY); } catch {}
+    try { localStorage.removeItem(Q_UNDO_KEY); } catch {}
   }
   ns.clearGameCacheOnly = clearGameCacheOnly;
 
@@ -1162,6 +2680,8 @@ function setElementVisible(el, visible) {
 }
 
 function resetToPreGame() {
+  // Keep the game being discarded (finished or not) in the history archive
+  archiveCurrentGame();
   // Hide game UI and show pre-game inputs
   closeEndGameDialog();
 
@@ -1169,6 +2689,11 @@ function resetToPreGame() {
   gameOver = false;
   lastGameCompletedAllRounds = false;
   players = [];
+  formerPlayers = [];
+  startingScores = {};
+  teams = [];
+  teamBonusScope = 'team';
+  rules = normalizeRules(getRulePreset(DEFAULT_RULE_PRESET_ID).rules);
   scores = {};
   currentRound = 3;
   startCards = 3;      // NEW
@@ -1176,6 +2701,12 @@ function resetToPreGame() {
   roundsData = [];
   currentDealerIdx = 0;
   currentRoundDraftInputs = {}; // NEW clear drafts
+  currentRoundDraftWentOut = null;
+  gameId = null;
+  gameStartedAt = null;
+  gameEndedAt = null;
+  missingWordList = null;
+  clearUndoJournal();
 
   // Clear dynamic UI
   document.getElementById('scoreTotals').innerHTML = '';
@@ -1196,13 +2727,13 @@ function resetToPreGame() {
 
   // Re-enable pre-game inputs
   document.getElementById('playersInput').disabled = false;
-  document.getElementById('longestWordBonus').disabled = false;
-  document.getElementById('mostWordsBonus').disabled = false;
-  document.getElementById('longestWordPoints').disabled = false;
-  document.getElementById('mostWordsPoints').disabled = false;
-  document.getElementById('startCards').disabled = false;  // NEW
-  document.getElementById('endCards').disabled = false;    // NEW
+  setRulesControlsDisabled(false);
   const apiAlso2 = document.getElementById('dictApiAlso'); if (apiAlso2) apiAlso2.disabled = false; // UPDATED
+  setDeckControlsDisabled(false);
+  renderDeckOptions();
+  setWordListControlsDisabled(false);
+  renderWordListOptions();
+  reflectTeamInputs(false);
 
   // Reset primary CTA label
   const go = document.getElementById('gameGo');
@@ -1233,12 +2764,15 @@ function resetToPreGame() {
   // After resetting, re-load saved pre-game config (if any) & reattach listeners
   loadPreGameConfig();
   attachPreGameConfigListeners();
+  setActiveDeck(document.getElementById('deckSelect')?.value || STANDARD_DECK_ID);
+  setActiveWordList(document.getElementById('wordListSelect')?.value || STANDARD_WORD_LIST_ID);
 }
 
 // Show end-of-game state inline (no modal) and disable further input
 function endGame(completedAllRounds = false) {
   gameOver = true;
   lastGameCompletedAllRounds = !!completedAllRounds;
+  if (!gameEndedAt) gameEndedAt = new Date().toISOString(); // keep the original time when re-shown after reload
   const submitBtn = document.getElementById('submitRoundBtn');
   if (submitBtn) { submitBtn.disabled = true; submitBtn.classList.add('hidden'); }
   // NEW disable & hide skip button when game ends
@@ -1260,7 +2794,9 @@ function endGame(completedAllRounds = false) {
 
   // (Modal removed — previously summary + new game options displayed here.)
   currentRoundDraftInputs = {}; // NEW clear drafts
+  currentRoundDraftWentOut = null;
   saveGameState();
+  archiveCurrentGame();
 }
 
 function closeEndGameDialog() {
@@ -1289,11 +2825,15 @@ function closeEndGameDialog() {
 (function(){
   // Attempt to load any saved game once DOM is ready.
   if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', loadGameState);
+    document.addEventListener('DOMContentLoaded', () => loadGameState());
   } else {
     loadGameState();
   }
 
+  initDeckControls();
+  initWordListControls();
+  initRulesControls();
+  initPlayersDialog();
   if (!gameStarted) {
     // Load any saved pre-game config (only if no active game restored)
     loadPreGameConfig();
@@ -1309,10 +2849,21 @@ function closeEndGameDialog() {
       window.QuiddlerHideShortcuts?.();
       if (gameStarted && !gameOver) {
         e.preventDefault();
+        recordUndo('End game');
         endGame(false);
         return;
       }
     }
+    // Ctrl/Cmd+Z -> Undo, Ctrl/Cmd+Shift+Z -> Redo (text fields keep their own native undo)
+    if ((e.ctrlKey || e.metaKey) && !e.altKey && (e.key === 'z' || e.key === 'Z')) {
+      const t = e.target;
+      const editingText = t && (t.tagName === 'INPUT' || t.tagName === 'TEXTAREA' || t.isContentEditable);
+      if (gameStarted && !editingText) {
+        e.preventDefault();
+        e.shiftKey ? redo() : undo();
+        return;
+      }
+    }
     // Ctrl/Cmd+Enter -> New Game setup (fresh settings input screen)
     if ((e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey && e.key === 'Enter') {
       window.QuiddlerHideShortcuts?.();
@@ -1414,6 +2965,9 @@ function skipRound() {
     if (anySubmitted) {
       if (!confirm('Some players have submitted entries this round. Skipping will discard them. Continue?')) return;
     }
+  }
+  recordUndo(`Skip round ${currentRound}`);
+  if (existing) {
     // Remove existing partial round
     roundsData = roundsData.filter(r => r !== existing);
   }
@@ -1430,8 +2984,7 @@ function skipRound() {
   updatePreviousRounds();
   recalculateScores();
   saveGameState();
-  if (currentRound < maxRound) {
-    currentRound += 1;
+  if (advanceRound()) {
     setupRound();
     saveGameState();
   } else {
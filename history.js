@@ -0,0 +1,286 @@
+'use strict';
+// history.js — Archive of past games and the History view
+// Storage:
+// - IndexedDB database 'quiddlerHistory', store 'games' (keyPath 'id'), so the archive never competes with
+//   localStorage for quota.
+// - Fallback when IndexedDB is unavailable (some private modes): a capped list under localStorage
+//   'quiddlerHistoryV1' that keeps the most recent HISTORY_LS_CAP games.
+// Entries are built by game.buildArchiveEntry and upserted by game id, so re-archiving a game (e.g. ended, then
+// reset, or restored after reload) updates one record:
+//   { id, startedAt, endedAt, endedBy:'completed'|'ended'|'reset', players[], finalScores{}, winners[],
+//     teams:[{ name, members[], total }] (team games only), roundsPlayed,
+//     roundScores:[{ roundNum, players:{ [name]:{ baseScore, ..., roundScore } } }],
+//     state }   // state = serializeGameState payload (same shape as an exported game file)
+// The History view lists, searches (players, date, words played), reopens read-only, and deletes entries;
+// its Stats tab shows lifetime per-player numbers (stats.js).
+
+const HISTORY_DB_NAME = 'quiddlerHistory';
+const HISTORY_STORE = 'games';
+const HISTORY_LS_KEY = 'quiddlerHistoryV1';
+const HISTORY_LS_CAP = 30;
+
+// ---------- Storage ----------
+let historyDbPromise = null;
+function openHistoryDB() {
+  if (historyDbPromise) return historyDbPromise;
+  historyDbPromise = new Promise(resolve => {
+    if (typeof indexedDB === 'undefined') { resolve(null); return; }
+    let req;
+    try { req = indexedDB.open(HISTORY_DB_NAME, 1); } catch { resolve(null); return; }
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(HISTORY_STORE)) db.createObjectStore(HISTORY_STORE, { keyPath: 'id' });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => { console.warn('History: IndexedDB unavailable; using localStorage', req.error); resolve(null); };
+  });
+  return historyDbPromise;
+}
+
+// Run one request in its own transaction; resolves with the request result once the transaction commits
+function historyTx(db, mode, makeRequest) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(HISTORY_STORE, mode);
+    const req = makeRequest(tx.objectStore(HISTORY_STORE));
+    tx.oncomplete = () => resolve(req ? req.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function readLocalHistory() {
+  try {
+    const list = JSON.parse(localStorage.getItem(HISTORY_LS_KEY) || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch { return []; }
+}
+function writeLocalHistory(list) {
+  const sorted = list.slice().sort(byEndedDesc).slice(0, HISTORY_LS_CAP);
+  try { localStorage.setItem(HISTORY_LS_KEY, JSON.stringify(sorted)); }
+  catch (e) { console.warn('History: localStorage write failed', e); }
+}
+
+function byEndedDesc(a, b) {
+  return String(b.endedAt || '').localeCompare(String(a.endedAt || ''));
+}
+
+async function archiveGame(entry) {
+  if (!entry || !entry.id) return;
+  const db = await openHistoryDB();
+  if (db) { await historyTx(db, 'readwrite', store => store.put(entry)); return; }
+  writeLocalHistory([entry, ...readLocalHistory().filter(e => e.id !== entry.id)]);
+}
+
+async function listArchivedGames() {
+  const db = await openHistoryDB();
+  const list = db ? await historyTx(db, 'readonly', store => store.getAll()) : readLocalHistory();
+  return (list || []).sort(byEndedDesc);
+}
+
+async function getArchivedGame(id) {
+  const db = await openHistoryDB();
+  if (db) return (await historyTx(db, 'readonly', store => store.get(id))) || null;
+  return readLocalHistory().find(e => e.id === id) || null;
+}
+
+async function deleteArchivedGame(id) {
+  const db = await openHistoryDB();
+  if (db) { await historyTx(db, 'readwrite', store => store.delete(id)); return; }
+  writeLocalHistory(readLocalHistory().filter(e => e.id !== id));
+}
+
+// ---------- View helpers ----------
+const ENDED_BY_LABEL = { completed: 'Completed', ended: 'Ended early', reset: 'Abandoned' };
+
+function formatHistoryDate(iso) {
+  const d = iso ? new Date(iso) : null;
+  if (!d || isNaN(d)) return 'Unknown date';
+  return d.toLocaleString(undefined, { year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
+
+// Lowercase text the search box matches against: players, date, and every word played
+function historySearchText(entry) {
+  const words = (entry.state?.roundsData || []).flatMap(r =>
+    Object.values(r.players || {}).flatMap(arr => (arr || []).map(w => plainWord(w.text))));
+  return [...(entry.players || []), formatHistoryDate(entry.endedAt), ...words].join(' ').toLowerCase();
+}
+
+// Round objects in the live shape renderRound expects (submittedPlayers map + recalc fields on each row)
+function hydrateArchivedRounds(entry) {
+  const rounds = entry.state?.roundsData || [];
+  return rounds.map((r, i) => {
+    const sums = entry.roundScores?.[i]?.players || {};
+    const playersMap = {};
+    // Only players dealt into this round (players can join or leave mid-game)
+    (entry.players || []).filter(p => Array.isArray(r.players?.[p])).forEach(p => {
+      const row = r.players[p].map(w => ({ ...w }));
+      playersMap[p] = Object.assign(row, {
+        baseScore: 0, challengeDeductions: 0, bonus: 0, gotLongestBonus: false, gotMostWordsBonus: false, roundScore: 0,
+        ...(sums[p] || {}),
+      });
+    });
+    return {
+      ...r,
+      submittedPlayers: Object.fromEntries((r.submittedPlayers || []).map(p => [p, true])),
+      players: playersMap,
+    };
+  });
+}
+
+function renderHistoryList(entries, query) {
+  const q = String(query || '').trim().toLowerCase();
+  const shown = q ? entries.filter(e => historySearchText(e).includes(q)) : entries;
+  if (!entries.length) return '<div class="text-gray-500 italic py-4">No archived games yet. Finished games appear here automatically.</div>';
+  if (!shown.length) return `<div class="text-gray-500 italic py-4">No games match “${escapeHtml(query)}”.</div>`;
+  return `<ul class="divide-y divide-gray-100">${shown.map(e => {
+    const scoresTxt = (e.players || [])
+      .map(p => `${escapeHtml(p)} ${e.finalScores?.[p] ?? 0}`)
+      .join(' · ');
+    const winners = (e.winners || []).map(escapeHtml).join(' & ');
+    return `
+      <li class="py-2 flex items-center gap-2">
+        <button type="button" data-history-open="${escapeHtml(e.id)}" class="flex-1 min-w-0 text-left hover:bg-gray-50 rounded px-1">
+          <div class="flex items-baseline gap-2">
+            <span class="font-medium">${formatHistoryDate(e.endedAt)}</span>
+            <span class="text-xs text-gray-500">${ENDED_BY_LABEL[e.endedBy] || ''} · ${e.roundsPlayed || 0} rounds</span>
+          </div>
+          <div class="text-gray-600 truncate">${winners ? `🏆 ${winners} — ` : ''}${scoresTxt}</div>
+        </button>
+        <button type="button" data-history-delete="${escapeHtml(e.id)}" class="text-gray-400 hover:text-red-600 px-1" aria-label="Delete game" title="Delete">🗑️</button>
+      </li>`;
+  }).join('')}</ul>`;
+}
+
+// Run render with the archived game's deck active: row checks (🚩) and point breakdowns read the active deck,
+// and a game played with a custom deck must not be judged against today's. (Rendering reads no rules: the cards
+// expected in a row are the round's hand size.)
+function withArchivedDeck(entry, render) {
+  const live = activeDeck();
+  try {
+    if (entry.state?.deck) setActiveDeck(entry.state.deck);
+  } catch (e) {
+    console.warn('Archived deck unreadable; showing the game with the active deck', e);
+  }
+  try {
+    return render();
+  } finally {
+    setActiveDeck(live);
+  }
+}
+
+function renderHistoryDetail(entry) {
+  const rounds = hydrateArchivedRounds(entry);
+  const byScore = list => list.slice().sort((a, b) => (entry.finalScores?.[b] ?? 0) - (entry.finalScores?.[a] ?? 0));
+  const playerItem = p => `<li>${escapeHtml(p)}: ${entry.finalScores?.[p] ?? 0}</li>`;
+  // Team games list team totals with their members
+  const totals = entry.teams?.length
+    ? entry.teams.map(t => `<li>${escapeHtml(t.name)}: ${t.total}<ul class="list-[circle] pl-5">${byScore(t.members).map(playerItem).join('')}</ul></li>`).join('')
+    : byScore(entry.players || []).map(playerItem).join('');
+  const roundsHTML = withArchivedDeck(entry, () => rounds
+    .map((r, i) => ({ r, i }))
+    .reverse()
+    .map(({ r, i }) => renderRound(r, i, { interactive: false, players: Object.keys(r.players) }))
+    .join(''));
+  return `
+    <button type="button" data-history-back class="text-blue-600 hover:underline mb-2">← All games</button>
+    <div class="font-semibold">${formatHistoryDate(entry.endedAt)}
+      <span class="text-xs text-gray-500 font-normal">${ENDED_BY_LABEL[entry.endedBy] || ''} · read-only</span>
+    </div>
+    <ul class="list-disc pl-6 mt-1">${totals}</ul>
+    <div class="mt-2">${roundsHTML || '<div class="text-gray-500 italic">No rounds played.</div>'}</div>
+  `;
+}
+
+// ---------- History modal ----------
+function initHistoryView() {
+  const modal = document.getElementById('historyModal');
+  const body = document.getElementById('historyBody');
+  const search = document.getElementById('historySearch');
+  if (!modal || !body) return;
+  let entries = [];
+  let tab = 'games'; // 'games' | 'stats' (stats.js)
+
+  const showList = () => {
+    search?.classList.remove('hidden');
+    if (search) search.placeholder = tab === 'stats' ? 'Filter players…' : 'Search players, dates, or words played…';
+    document.querySelectorAll('[data-history-tab]').forEach(btn => {
+      const active = btn.getAttribute('data-history-tab') === tab;
+      btn.classList.toggle('border-blue-500', active);
+      btn.classList.toggle('text-blue-600', active);
+      btn.classList.toggle('border-transparent', !active);
+    });
+    body.innerHTML = (tab === 'stats' && window.QuiddlerStats?.renderStatsView)
+      ? window.QuiddlerStats.renderStatsView(entries, search?.value)
+      : renderHistoryList(entries, search?.value);
+  };
+  async function refresh() {
+    body.innerHTML = '<div class="text-gray-500 py-4">Loading…</div>';
+    try {
+      entries = await listArchivedGames();
+    } catch (e) {
+      console.warn('History load failed', e);
+      entries = [];
+    }
+    showList();
+  }
+  function open() {
+    modal.classList.remove('hidden'); modal.classList.add('flex');
+    refresh();
+    search?.focus();
+  }
+  function close() {
+    modal.classList.add('hidden'); modal.classList.remove('flex');
+  }
+
+  document.getElementById('historyBtn')?.addEventListener('click', open);
+  document.getElementById('historyCloseBtn')?.addEventListener('click', close);
+  modal.addEventListener('click', (e) => { if (e.target === modal) close(); });
+  document.addEventListener('keydown', (e) => { if (e.key === 'Escape' && !modal.classList.contains('hidden')) close(); });
+  search?.addEventListener('input', showList);
+  document.querySelectorAll('[data-history-tab]').forEach(btn => btn.addEventListener('click', () => {
+    tab = btn.getAttribute('data-history-tab');
+    showList();
+  }));
+
+  body.addEventListener('click', async (e) => {
+    // Dictionary lookups from read-only chits
+    const def = e.target.closest('.def-open');
+    if (def) {
+      e.stopPropagation();
+      window.QuiddlerTools?.showDict?.(def.getAttribute('data-word') || '');
+      return;
+    }
+    const openBtn = e.target.closest('[data-history-open]');
+    const delBtn = e.target.closest('[data-history-delete]');
+    if (e.target.closest('[data-history-back]')) { showList(); return; }
+    if (openBtn) {
+      const entry = entries.find(x => x.id === openBtn.getAttribute('data-history-open'))
+        || await getArchivedGame(openBtn.getAttribute('data-history-open'));
+      if (!entry) return;
+      search?.classList.add('hidden');
+      body.innerHTML = renderHistoryDetail(entry);
+      initChitTooltips(body);
+      return;
+    }
+    if (delBtn) {
+      const id = delBtn.getAttribute('data-history-delete');
+      const entry = entries.find(x => x.id === id);
+      if (!confirm(`Delete the game from ${formatHistoryDate(entry?.endedAt)}? This cannot be undone.`)) return;
+      try { await deleteArchivedGame(id); } catch (err) { console.warn('History delete failed', err); }
+      await refresh();
+    }
+  });
+
+  return { open, close, refresh };
+}
+
+if (typeof window !== 'undefined') {
+  window.QuiddlerHistory = Object.assign({}, window.QuiddlerHistory || {}, {
+    archiveGame,
+    listArchivedGames,
+    getArchivedGame,
+    deleteArchivedGame,
+    hydrateArchivedRounds,
+    initHistoryView,
+  });
+}
@@ -0,0 +1,85 @@
+'use strict';
+// house_words.js — The group's house word list: rulings layered on top of the Collins word list
+// - 'allow' makes a word valid even though Collins lacks it; 'deny' bans a Collins word.
+// - A ruling wins over every dictionary: challenges (game.validateWordLocal and the online check), the solver
+//   trie (optimizer.getValidWordTrie, which receives the lists with every job) and the Dictionary tab.
+// - Persisted in localStorage, independent of any game, so rulings carry over between games.
+//
+// Entry shape: { word: 'QI', ruling: 'allow' | 'deny', note: 'agreed 2024', addedAt: ISO string }
+
+const HOUSE_WORDS_STORAGE_KEY = 'quiddlerHouseWordsV1';
+const HOUSE_RULINGS = ['allow', 'deny'];
+
+// PLAIN → entry
+const HOUSE_WORDS = new Map();
+
+// Chit or display text → plain upper-case letters ("(qu)ick" → "QUICK"); '' if nothing is left
+function houseWordKey(raw) {
+  return String(raw || '').replace(/[^\p{L}]/gu, '').toUpperCase();
+}
+
+// The ruling for a word, or null
+function houseRuling(raw) {
+  const key = houseWordKey(raw);
+  return (key && HOUSE_WORDS.get(key)) || null;
+}
+
+function listHouseWords() {
+  return Array.from(HOUSE_WORDS.values()).sort((a, b) => a.word.localeCompare(b.word));
+}
+
+// { allow: [...], deny: [...] } plain words, as sent to the solver
+function houseWordLists() {
+  const lists = { allow: [], deny: [] };
+  HOUSE_WORDS.forEach(e => lists[e.ruling].push(e.word));
+  return lists;
+}
+
+function loadHouseWords() {
+  if (typeof localStorage === 'undefined') return;
+  try {
+    const list = JSON.parse(localStorage.getItem(HOUSE_WORDS_STORAGE_KEY) || '[]');
+    (Array.isArray(list) ? list : []).forEach(e => {
+      const word = houseWordKey(e && e.word);
+      if (!word || !HOUSE_RULINGS.includes(e.ruling)) return;
+      HOUSE_WORDS.set(word, { word, ruling: e.ruling, note: String(e.note || ''), addedAt: e.addedAt || null });
+    });
+  } catch (e) {
+    console.warn('House word list load failed', e);
+  }
+}
+function persistHouseWords() {
+  if (typeof localStorage === 'undefined') return;
+  try {
+    localStorage.setItem(HOUSE_WORDS_STORAGE_KEY, JSON.stringify(listHouseWords()));
+  } catch {}
+}
+
+// Add or replace a ruling. Throws Error with a user-facing message. Returns the entry.
+function setHouseWord(raw, ruling, note = '') {
+  const word = houseWordKey(raw);
+  if (!word) throw new Error('Enter a word (letters only).');
+  if (word.length < 2) throw new Error('House words need at least two letters.');
+  if (!HOUSE_RULINGS.includes(ruling)) throw new Error(`Ruling must be one of ${HOUSE_RULINGS.join(', ')}.`);
+  const entry = { word, ruling, note: String(note || '').trim(), addedAt: new Date().toISOString() };
+  HOUSE_WORDS.set(word, entry);
+  persistHouseWords();
+  return entry;
+}
+function removeHouseWord(raw) {
+  const removed = HOUSE_WORDS.delete(houseWordKey(raw));
+  if (removed) persistHouseWords();
+  return removed;
+}
+
+loadHouseWords();
+
+if (typeof window !== 'undefined') {
+  window.QuiddlerHouseWords = Object.assign({}, window.QuiddlerHouseWords || {}, {
+    houseRuling,
+    listHouseWords,
+    houseWordLists,
+    setHouseWord,
+    removeHouseWord,
+  });
+}
@@ -1,6 +1,6 @@
 // Quiddler best-play solver
 // Pipeline overview:
-// 1) buildTrie: builds a prefix trie from validWordsMap (depth limited by maxRound)
+// 1) buildTrie: builds a prefix trie from the game's word list plus house rulings (depth limited by maxRound)
 // 2) countRack: splits tiles into single letters vs. digraph tile counts
 // 3) makeCommonGateFromEntries: makes a frequency-based filter from common_lemmas.js entries
 // 4) generateWordCandidates: DFS over trie using available rack counts to produce scored candidates
@@ -9,7 +9,10 @@
 // 5) chooseBestPlay: branch-and-bound search selecting a set of non-overlapping candidates
 //    - Computes leftover penalty; supports optional discard of a single highest-value tile
 //    - Applies strict bonuses vs. currentLongest/currentMost thresholds
-// 6) optimize: orchestrates, wires to UI params, and returns a summary for rendering
+//    - Optional go-out filter: only plays that use every card (besides the discard), or only plays that don't
+// 6) solveRack: synchronous core (parse rack → trie → candidates → best play); runs in the solver worker
+// 7) optimize: orchestrates, wires to UI params, applies the optional API filter, and returns a summary for rendering
+// 8) startSolve: main-thread client for solver_worker.js (progress + cancel), falling back to in-page solving
 
 // ---------- Build trie ----------
 function buildTrie(words, maxDepth = 10) {
@@ -29,17 +32,30 @@ function buildTrie(words, maxDepth = 10) {
   return root;
 }
 
-// Global, lazily-initialized trie built from validWordsMap
-let validWordTrie = (typeof window !== 'undefined' && window.validWordTrie) ? window.validWordTrie : null;
-function getValidWordTrie() {
-  // Create once, reuse across optimize() calls. Depth tied to maxRound so longer paths are pruned.
-  if (!validWordTrie) {
-    const words = (typeof validWordsMap !== 'undefined') ? Object.keys(validWordsMap) : [];
-    const depth = (typeof maxRound === 'number') ? maxRound : 10;
-    validWordTrie = buildTrie(words, depth);
-    if (typeof window !== 'undefined') window.validWordTrie = validWordTrie;
-  }
-  return validWordTrie;
+// Lazily-built tries, one per word list (word_lists.js), keyed by list id: { list, version, trie, depth, filters }
+const wordListTries = new Map();
+// Options (jobs carry them because the worker cannot read the page's storage or game.js globals):
+// - list: the word list (default: the active one)
+// - house: { allow, deny } plain-word lists (house_words.js houseWordLists); denied words are left out, allowed added
+// - excludeQualifiers: rules.excludeQualifiers; Collins words whose every sense carries one are left out
+//   (collins_parsing.qualifierExcludedWords)
+function getValidWordTrie(depth = (typeof maxRound === 'number') ? maxRound : 10, { list = activeWordList(), house = null, excludeQualifiers = [] } = {}) {
+  // Create once per list, reuse across solves. Depth tied to maxRound so longer paths are pruned;
+  // only rebuilt if a later solve needs a deeper horizon than the cached trie, or the filters changed.
+  const quals = list.id === STANDARD_WORD_LIST_ID ? excludeQualifiers : [];
+  const filters = JSON.stringify([house?.allow || [], house?.deny || [], quals]);
+  const cached = wordListTries.get(list.id);
+  const fresh = cached && cached.list === list && cached.version === list.version;
+  if (fresh && cached.depth >= depth && cached.filters === filters) return cached.trie;
+  const deny = new Set((house?.deny || []).map(w => String(w).toUpperCase()));
+  const excluded = quals.length ? qualifierExcludedWords(quals) : null;
+  let words = wordListWords(list);
+  if (deny.size || excluded?.size) words = words.filter(w => !deny.has(w) && !(excluded && excluded.has(w)));
+  if (fresh) depth = Math.max(depth, cached.depth);
+  const trie = buildTrie(words.concat(house?.allow || []), depth);
+  trie.depth = depth;
+  wordListTries.set(list.id, { list, version: list.version, trie, depth, filters });
+  return trie;
 }
 
 // ---------- Count rack ----------
@@ -98,7 +114,7 @@ function generateWordCandidates(trie, rackCounts, minLen = 2, opts = {}) {
   // - path: letters for trie traversal
   // - usedTokens: actual tiles used (singles or digraphs) to compute score/usage
   // De-duplication is per plain word by usage signature so (qu)a vs. q(u)a remain distinct if tiles differ.
-  const { commonGate = null } = opts;
+  const { commonGate = null, deck = null } = opts;
 
   const out = [];
   const path = [];
@@ -138,7 +154,7 @@ function generateWordCandidates(trie, rackCounts, minLen = 2, opts = {}) {
     let bucket = perWord.get(plainWord);
     if (!bucket) { bucket = new Map(); perWord.set(plainWord, bucket); }
     if (!bucket.has(key)) {
-      const score = calculateScore(usedTokens);
+      const score = calculateScore(usedTokens, deck);
       bucket.set(key, { word: displayWord, score, usage, length: plainWord.length });
     }
   }
@@ -155,12 +171,14 @@ function generateWordCandidates(trie, rackCounts, minLen = 2, opts = {}) {
     }
     for (const [DG, c] of Object.entries(digraphCounts)) {
       if (c > 0) {
-        const a = DG[0], b = DG[1];
-        const n1 = node.children[a], n2 = n1 && n1.children[b];
-        if (n2) {
-          digraphCounts[DG]--; path.push(a,b); usedTokens.push(DG);
-          dfs(n2, singleCounts, digraphCounts);
-          usedTokens.pop(); path.pop(); path.pop(); digraphCounts[DG]++;
+        // Multi-letter tiles walk one trie level per letter (custom decks may have 3+ letter tiles)
+        const letters = Array.from(DG);
+        let n = node;
+        for (const ch of letters) { n = n && n.children[ch]; }
+        if (n) {
+          digraphCounts[DG]--; path.push(...letters); usedTokens.push(DG);
+          dfs(n, singleCounts, digraphCounts);
+          usedTokens.pop(); path.length -= letters.length; digraphCounts[DG]++;
         }
       }
     }
@@ -172,18 +190,31 @@ function generateWordCandidates(trie, rackCounts, minLen = 2, opts = {}) {
   return out;
 }
 
+// Minimum time between solver progress callbacks (keeps worker → page messages cheap)
+const PROGRESS_INTERVAL_MS = 100;
+
 // ---------- Choose best play (no-flatten discard, leftover penalty, strict bonuses) ----------
 function chooseBestPlay(candidates, rackCounts, params = {}) {
   // Greedy sort for heuristic ordering; search is exhaustive with a pruning upper bound (ub).
   // leftover penalty: sum(points of unused tiles) minus best discard if allowed.
   // bonuses apply only if strictly exceeding opponents' currentLongest/currentMost thresholds.
+  // goOut: 'any' (default) | 'require' (no unused tiles after the discard) | 'exclude' (at least one unused tile).
+  // topN > 1 also keeps the runner-up plays; pruning then uses the Nth best score, so the search grows with N.
+  // onProgress (optional) is called at most every PROGRESS_INTERVAL_MS with { phase:'search', nodes, best }.
+  // shouldStop (optional) is polled every 4096 nodes; when it returns true the search throws solverCancelledError.
   const {
     currentLongest = Infinity,
     currentMost    = Infinity,
     noDiscard      = false,
     longestBonus   = 10,
     mostBonus      = 10,
+    topN           = 1,
+    goOut          = 'any',
+    onProgress     = null,
+    shouldStop     = null,
+    deck           = null,
   } = params;
+  const scores = resolveDeck(deck).scores;
 
   candidates.sort((a, b) =>
     (b.score / Math.max(1, b.length)) - (a.score / Math.max(1, a.length)) ||
@@ -196,8 +227,8 @@ function chooseBestPlay(candidates, rackCounts, params = {}) {
 
   const remainingValue = () => {
     let s = 0;
-    for (const [L, c] of Object.entries(remSingles))  s += (cardScores[L] || 0) * c;
-    for (const [D, c] of Object.entries(remDigraphs)) s += (cardScores[D] || 0) * c;
+    for (const [L, c] of Object.entries(remSingles))  s += (scores[L] || 0) * c;
+    for (const [D, c] of Object.entries(remDigraphs)) s += (scores[D] || 0) * c;
     return s;
   };
 
@@ -219,13 +250,13 @@ function chooseBestPlay(candidates, rackCounts, params = {}) {
     let bestTile = null, bestVal = -Infinity;
     for (const [t, c] of Object.entries(remSingles)) {
       if (c > 0) {
-        const v = cardScores[t] || 0;
+        const v = scores[t] || 0;
         if (v > bestVal) { bestVal = v; bestTile = t; }
       }
     }
     for (const [t, c] of Object.entries(remDigraphs)) {
       if (c > 0) {
-        const v = cardScores[t] || 0;
+        const v = scores[t] || 0;
         if (v > bestVal) { bestVal = v; bestTile = t; }
       }
     }
@@ -242,20 +273,21 @@ function chooseBestPlay(candidates, rackCounts, params = {}) {
     for (const [D, c] of Object.entries(u.digraphCounts)) remDigraphs[D] -= sign * c;
   };
 
-  let best = {
-    baseScore: -Infinity,
-    words: [],
-    longest: 0,
-    count: 0,
-    leftoverValue: Infinity,
-    totalScore: -Infinity,
-    bonus: { longest: 0, most: 0 },
-    discardTile: null,
-    unusedTiles: [],
-  };
+  // Ranked plays (best first), at most topN, distinct by the multiset of plain words played
+  const top = [];
+  const bar = () => (top.length < topN ? -Infinity : top[top.length - 1].totalScore);
 
   const cur = { baseScore: 0, words: [], longest: 0, count: 0 };
 
+  let nodes = 0;
+  let lastProgressAt = Date.now();
+  function reportProgress() {
+    const now = Date.now();
+    if (now - lastProgressAt < PROGRESS_INTERVAL_MS) return;
+    lastProgressAt = now;
+    onProgress({ phase: 'search', nodes, best: top.length ? top[0].totalScore : null });
+  }
+
   function evalCurrent() {
     const remCount = totalRemainingCount();
 
@@ -282,6 +314,9 @@ function chooseBestPlay(candidates, rackCounts, params = {}) {
       }
     }
 
+    const goesOut = unusedTiles.length === 0;
+    if ((goOut === 'require' && !goesOut) || (goOut === 'exclude' && goesOut)) return;
+
     const bonus = {
       longest: cur.longest > currentLongest ? longestBonus : 0,
       most:    cur.count   > currentMost    ? mostBonus   : 0,
@@ -289,24 +324,43 @@ function chooseBestPlay(candidates, rackCounts, params = {}) {
 
     const total = Math.max(cur.baseScore - penalty, 0) + bonus.longest + bonus.most;
 
-    if (total > best.totalScore) {
-      best = {
-        baseScore: cur.baseScore,
-        words: cur.words.map(({ word, score }) => ({ word, score })),
-        longest: cur.longest,
-        count: cur.count,
-        leftoverValue: penalty,
-        totalScore: total,
-        bonus,
-        discardTile,
-        unusedTiles,
-      };
+    if (total <= bar()) return;
+
+    // Same plain words via different tiles (e.g. (qu)it vs. q·u·it) count as one play; keep the better one
+    const key = cur.words.map(w => plainWord(w.word)).sort().join(' ');
+    const dupIdx = top.findIndex(p => p.key === key);
+    if (dupIdx !== -1) {
+      if (top[dupIdx].totalScore >= total) return;
+      top.splice(dupIdx, 1);
     }
+
+    const play = {
+      key,
+      words: cur.words.map(({ word, score }) => ({ word, score })),
+      baseScore: cur.baseScore,
+      leftoverValue: penalty,
+      bonus,
+      totalScore: total,
+      longestWordLength: cur.longest,
+      wordCount: cur.count,
+      discardTile,
+      unusedTiles,
+      goesOut,
+    };
+    // Insert after plays with an equal score so the first-found play keeps its rank
+    let at = top.findIndex(p => p.totalScore < total);
+    if (at === -1) at = top.length;
+    top.splice(at, 0, play);
+    if (top.length > topN) top.length = topN;
   }
 
   function dfs(i) {
+    if ((++nodes & 0xfff) === 0) {
+      if (shouldStop && shouldStop()) throw solverCancelledError();
+      if (onProgress) reportProgress();
+    }
     const ub = cur.baseScore + remainingValue() + longestBonus + mostBonus;
-    if (ub <= best.totalScore) return;
+    if (ub <= bar()) return;
 
     if (i === candidates.length) { evalCurrent(); return; }
 
@@ -334,86 +388,168 @@ function chooseBestPlay(candidates, rackCounts, params = {}) {
 
   dfs(0);
 
-  return {
-    words: best.words,
-    baseScore: best.baseScore,
-    leftoverValue: best.leftoverValue,
-    bonus: best.bonus,
-    totalScore: best.totalScore,
-    longestWordLength: best.longest,
-    wordCount: best.count,
-    discardTile: best.discardTile,
-    unusedTiles: best.unusedTiles,
+  // Best play's fields at the top level (existing callers), plus the ranked list (plays[0] is the best)
+  const plays = top.map(({ key, ...play }) => play);
+  const best = plays[0] || {
+    words: [], baseScore: -Infinity, leftoverValue: Infinity, bonus: { longest: 0, most: 0 },
+    totalScore: -Infinity, longestWordLength: 0, wordCount: 0, discardTile: null, unusedTiles: [], goesOut: false,
   };
+  return { ...best, plays };
 }
 
-async function optimize(params) {
-  // Params from UI:
-  // - tiles: rack string like "(qu)a(th)i"; parser handles parentheses
-  // - noDiscard: if true, cannot discard one leftover tile; all leftovers penalize
-  // - commonOnly + minZipF + override2and3: frequency filter using common_lemmas.js (window.wordFreq)
-  // - currentLongest/currentMost: thresholds to beat for bonuses (strictly greater)
-  // - apiFilter: if true, further require words to appear in Free Dictionary API (lazy best-play validation)
-  // Returns: bestplay summary consumed by render.renderOptimizedPlayFromResult
+// Reject racks that hold more copies of a card than the deck contains (deck.counts, see decks.js).
+// Thrown errors carry code 'IMPOSSIBLE_RACK' so the UI can show the message instead of a generic failure.
+function assertRackPossible(tiles, what = 'Rack', deck = null) {
+  const over = deckOveruse(tileTally(tiles), resolveDeck(deck).counts);
+  if (!over.length) return;
+  const detail = over.map(o => `${o.used} × ${toCardToken(o.tile).toUpperCase()} (deck has ${o.available})`).join(', ');
+  const err = new Error(`Impossible ${what.toLowerCase()}: ${detail}`);
+  err.code = 'IMPOSSIBLE_RACK';
+  throw err;
+}
+
+// Common gates are rebuilt only when the filter settings change (the advisor solves many racks per run)
+let commonGateCache = { key: null, gate: null };
+function getCommonGate(override2and3, minZipF) {
+  // Lemmatizer and frequency list are page globals (window) or worker globals (self)
+  const lemmatizer = globalThis.winkLemmatizer;
+  const wf = (typeof wordFreq !== 'undefined') ? wordFreq : globalThis.wordFreq;
+  if (!Array.isArray(wf) || !wf.length) return null;
+  const key = `${override2and3}|${minZipF}|${lemmatizer ? 1 : 0}`;
+  if (commonGateCache.key !== key) {
+    commonGateCache = { key, gate: makeCommonGateFromEntries(wf, { mode: 'zipf', override2and3, minZipF }, lemmatizer) };
+  }
+  return commonGateCache.gate;
+}
+
+// ---------- Solve a rack (synchronous core) ----------
+function solveRack(params, hooks = {}) {
+  const rack = parseCards(String((params && params.tiles) || '')).map(normalizeToken);
+  return solveTokens(rack, params, hooks);
+}
+
+// Same as solveRack for an already-parsed rack of normalized tiles, e.g. ['qu','i','t']
+function solveTokens(rack, params, { onProgress = null, shouldStop = null } = {}) {
+  // Same inputs as optimize (minus apiFilter), plus values the worker cannot read from game.js globals:
+  // - longestBonus/mostBonus: bonus points; maxDepth: trie horizon (longest possible word)
+  // - exclude: plain words to drop from the candidate list (used by the API filter loop)
+  // - deck: deck id/definition (decks.js) for points, digraph tiles and counts; defaults to the active deck
+  // - house: { allow, deny } house word lists (house_words.js), applied to the trie
+  // - wordList: the game's word list as wordListRef (word_lists.js); it must be loaded (see optimize)
+  // - excludeQualifiers: Collins qualifiers that exclude a word (rules.excludeQualifiers)
+  // - topN: how many ranked plays to return in result.plays (1 = best only)
+  // - goOutMode: also report result.goOut = { possible, play, bestOther } (best go-out play vs. best play that
+  //   leaves cards); costs at most one extra search since the main best play already answers one side
+  // onProgress receives { phase:'trie' | 'candidates' | 'search', ... } so the UI can show live status.
+  // shouldStop: polled during the search (see chooseBestPlay) so a worker can drop a cancelled job and live on.
   const {
-    tiles = '',
     noDiscard = false,
     commonOnly = false,
     override2and3 = false,
     minZipF = 0,
     currentLongest = 0,
     currentMost = 0,
-    apiFilter = false,
+    longestBonus = 10,
+    mostBonus = 10,
+    maxDepth = 10,
+    topN = 1,
+    goOutMode = false,
+    exclude = [],
+    deck: deckParam = null,
+    house = null,
+    wordList = null,
+    excludeQualifiers = [],
   } = params || {};
 
-  const rack = parseCards(String(tiles)).map(normalizeToken);
-  const rackCounts = countRack(rack, DIGRAPHS);
-
-  const lemmatizer = (typeof window !== 'undefined') ? window.winkLemmatizer : undefined;
-
-  // Resolve frequency list from global if available
-  const wf = (typeof window !== 'undefined') ? window.wordFreq : undefined;
-
-  const commonGate = (commonOnly && Array.isArray(wf) && wf.length)
-    ? makeCommonGateFromEntries(wf, { mode: 'zipf', override2and3, minZipF }, lemmatizer)
-    : null;
+  const deck = resolveDeck(deckParam);
+  assertRackPossible(rack, 'Rack', deck);
+  const rackCounts = countRack(rack, deck.digraphs);
+  const commonGate = commonOnly ? getCommonGate(override2and3, minZipF) : null;
 
   // Use the global, lazily-initialized trie instead of rebuilding each time
-  const trie = getValidWordTrie();
-  const candidates = generateWordCandidates(trie, rackCounts, 2, { commonGate });
+  onProgress?.({ phase: 'trie' });
+  const list = wordListFromRef(wordList);
+  if (!isWordListLoaded(list)) throw new Error(list.loadError || `The word list "${list.name}" is still loading; try again.`);
+  const trie = getValidWordTrie(maxDepth, { list, house, excludeQualifiers });
+
+  let candidates = generateWordCandidates(trie, rackCounts, 2, { commonGate, deck });
+  if (exclude.length) {
+    const excluded = new Set(exclude);
+    candidates = candidates.filter(c => !excluded.has(plainWord(c.word)));
+  }
+  onProgress?.({ phase: 'candidates', candidates: candidates.length });
 
-  let bestplay = chooseBestPlay(candidates, rackCounts, {
+  const searchParams = {
     noDiscard,
     currentLongest: currentLongest === 0 ? Infinity : currentLongest,
     currentMost:    currentMost    === 0 ? Infinity : currentMost,
-    longestBonus: longestWordPoints,
-    mostBonus:    mostWordsPoints,
-  });
+    longestBonus,
+    mostBonus,
+    onProgress,
+    shouldStop,
+    deck,
+  };
+  const result = chooseBestPlay(candidates, rackCounts, { ...searchParams, topN });
+
+  if (goOutMode) {
+    onProgress?.({ phase: 'goOut' });
+    const best = result.plays[0] || null;
+    const bestGoesOut = !!(best && best.goesOut);
+    const other = chooseBestPlay(candidates, rackCounts, { ...searchParams, goOut: bestGoesOut ? 'exclude' : 'require' });
+    const goOutPlay = bestGoesOut ? best : (other.plays[0] || null);
+    result.goOut = {
+      possible: !!goOutPlay,
+      play: goOutPlay,
+      bestOther: bestGoesOut ? (other.plays[0] || null) : best,
+    };
+  }
+
+  return result;
+}
+
+// Game settings the worker cannot read itself (game.js globals), sent along with every job
+function solverDefaults() {
+  return {
+    longestBonus: (typeof rules === 'object' && rules) ? rules.longestWord.points : 10,
+    mostBonus:    (typeof rules === 'object' && rules) ? rules.mostWords.points : 10,
+    maxDepth:     (typeof maxRound === 'number') ? maxRound : 10,
+    deck:         deckDefinition(activeDeck()),
+    house:        (typeof houseWordLists === 'function') ? houseWordLists() : null,
+    wordList:     wordListRef(activeWordList()),
+    excludeQualifiers: (typeof rules === 'object' && rules) ? rules.excludeQualifiers : [],
+  };
+}
+
+async function optimize(params, { solve = solveRack, onProgress = null } = {}) {
+  // Params from UI:
+  // - tiles: rack string like "(qu)a(th)i"; parser handles parentheses
+  // - noDiscard: if true, cannot discard one leftover tile; all leftovers penalize
+  // - commonOnly + minZipF + override2and3: frequency filter using common_lemmas.js (window.wordFreq)
+  // - currentLongest/currentMost: thresholds to beat for bonuses (strictly greater)
+  // - apiFilter: if true, further require words to appear in Free Dictionary API (lazy validation of returned plays)
+  // - topN: number of ranked alternative plays to return in result.plays
+  // - goOutMode: also report whether the rack can go out (result.goOut), see solveRack
+  // solve: (params, { onProgress }) → play; solveRack in-page, or a worker-backed solve from startSolve.
+  // Returns: bestplay summary consumed by render.renderOptimizedPlayFromResult
+  const { apiFilter = false, ...rest } = params || {};
+  const solveParams = { ...solverDefaults(), ...rest, exclude: [] };
+  await loadWordList(wordListFromRef(solveParams.wordList)); // lazy lists (the worker loads its own copy)
+
+  let bestplay = await solve(solveParams, { onProgress });
 
   if (apiFilter) {
     if (typeof validateWordAPIBatch !== 'function') {
       console.warn('API filter requested but validateWordAPIBatch is unavailable. Skipping API filter.');
     } else {
-      let remainingCandidates = candidates.slice();
       let iterations = 0;
       while (iterations < 5 && bestplay.words.length) {
-        const { invalidPlain } = await validateWordAPIBatch(bestplay.words.map(w => w.word));
+        // Check every word across the ranked plays so alternatives are filtered too
+        const shownPlays = [...(bestplay.plays || [bestplay]), bestplay.goOut?.play, bestplay.goOut?.bestOther].filter(Boolean);
+        const shown = shownPlays.flatMap(p => p.words.map(w => w.word));
+        const { invalidPlain } = await validateWordAPIBatch(Array.from(new Set(shown)));
         if (!invalidPlain.size) break;
-        remainingCandidates = remainingCandidates.filter(c => !invalidPlain.has(plainWord(c.word).toLowerCase()));
-        if (!remainingCandidates.length) {
-          bestplay = {
-            words: [], baseScore: 0, leftoverValue: 0, bonus: { longest:0, most:0 }, totalScore: 0,
-            longestWordLength: 0, wordCount: 0, discardTile: null, unusedTiles: rack.slice()
-          };
-          break;
-        }
-        bestplay = chooseBestPlay(remainingCandidates, rackCounts, {
-          noDiscard,
-          currentLongest: currentLongest === 0 ? Infinity : currentLongest,
-          currentMost:    currentMost    === 0 ? Infinity : currentMost,
-          longestBonus: longestWordPoints,
-          mostBonus:    mostWordsPoints,
-        });
+        invalidPlain.forEach(pw => solveParams.exclude.push(pw));
+        bestplay = await solve(solveParams, { onProgress });
         iterations++;
       }
     }
@@ -422,9 +558,152 @@ async function optimize(params) {
   return bestplay;
 }
 
+// ---------- Worker client ----------
+// Jobs ('solve' → solveRack, 'advise' → advisor.adviseDraw) run in solver_worker.js so large racks never block the page. One worker is kept alive
+// (it holds the trie). Cancelling a running search sets the job's flag in memory shared with the worker, whose
+// search polls it and stops, keeping the trie. Shared memory needs a cross-origin isolated page (sw.js serves the
+// app with the headers for it); without it a search that does not stop in time is ended by terminating the
+// worker, and the next solve spawns a fresh one.
+// If workers are unavailable (e.g. the page is opened from file://), solves fall back to running in-page.
+const SOLVER_WORKER_URL = 'solver_worker.js';
+const SOLVER_CANCEL_GRACE_MS = 150;
+const SOLVER_CANCEL_SLOTS = 64; // job id % slots → the id cancelled last in that slot
+
+// Int32Array over a SharedArrayBuffer, or null when the page is not cross-origin isolated
+const solverCancelFlags = (typeof SharedArrayBuffer !== 'undefined' && globalThis.crossOriginIsolated)
+  ? new Int32Array(new SharedArrayBuffer(SOLVER_CANCEL_SLOTS * Int32Array.BYTES_PER_ELEMENT))
+  : null;
+
+let solverWorker = null;
+let solverWorkerUnavailable = false;
+let solverSeq = 0;
+const solverPending = new Map(); // id -> { type, params, resolve, reject, onProgress }
+
+function solverCancelledError() {
+  const err = new Error('Solve cancelled');
+  err.cancelled = true;
+  return err;
+}
+
+// Run a job synchronously in the page (no worker available)
+function runJobInPage(type, params, onProgress) {
+  if (type === 'advise') return adviseDraw(params, { onProgress });
+  return solveRack(params, { onProgress });
+}
+
+function getSolverWorker() {
+  if (solverWorker || solverWorkerUnavailable) return solverWorker;
+  if (typeof Worker === 'undefined') { solverWorkerUnavailable = true; return null; }
+  try {
+    solverWorker = new Worker(SOLVER_WORKER_URL);
+  } catch (e) {
+    console.warn('Solver worker unavailable; solving in-page.', e);
+    solverWorkerUnavailable = true;
+    return null;
+  }
+  solverWorker.onmessage = onSolverMessage;
+  if (solverCancelFlags) solverWorker.postMessage({ type: 'init', cancelFlags: solverCancelFlags });
+  solverWorker.onerror = (e) => {
+    // Script failed to load/run: retire the worker and finish pending solves in-page.
+    console.warn('Solver worker failed; solving in-page.', e);
+    e.preventDefault?.();
+    solverWorker?.terminate();
+    solverWorker = null;
+    solverWorkerUnavailable = true;
+    for (const [id, job] of solverPending) {
+      solverPending.delete(id);
+      try { job.resolve(runJobInPage(job.type, job.params, job.onProgress)); } catch (err) { job.reject(err); }
+    }
+  };
+  return solverWorker;
+}
+
+function onSolverMessage(e) {
+  const { type, id, ...payload } = e.data || {};
+  const job = solverPending.get(id);
+  if (!job) return;
+  if (type === 'progress') { job.onProgress?.(payload); return; }
+  solverPending.delete(id);
+  if (type === 'result') job.resolve(payload.result);
+  else if (type === 'cancelled') job.reject(solverCancelledError());
+  else job.reject(Object.assign(new Error(payload.message || 'Solver error'), { code: payload.code }));
+}
+
+// Post one job to the worker; resolves with its result. Returns { id, promise }.
+function postJob(type, params, onProgress) {
+  const worker = getSolverWorker();
+  if (!worker) {
+    return { id: null, promise: new Promise(resolve => resolve(runJobInPage(type, params, onProgress))) };
+  }
+  const id = ++solverSeq;
+  const promise = new Promise((resolve, reject) => {
+    solverPending.set(id, { type, params, resolve, reject, onProgress });
+  });
+  worker.postMessage({ type, id, params });
+  return { id, promise };
+}
+
+// Ask the worker to drop a job: a queued job sees the message, a running search polls the shared flag. Without
+// shared memory a running search cannot read messages, so the worker is terminated if it has not answered.
+function cancelSolve(id) {
+  if (id == null || !solverPending.has(id)) return;
+  solverWorker?.postMessage({ type: 'cancel', id });
+  if (solverCancelFlags) {
+    // The worker stops within a few thousand search nodes; settle now and ignore its late answer
+    Atomics.store(solverCancelFlags, id % SOLVER_CANCEL_SLOTS, id);
+    const job = solverPending.get(id);
+    solverPending.delete(id);
+    job.reject(solverCancelledError());
+    return;
+  }
+  setTimeout(() => {
+    const job = solverPending.get(id);
+    if (!job) return;
+    solverWorker?.terminate();
+    solverWorker = null;
+    solverPending.delete(id);
+    job.reject(solverCancelledError());
+    // Solves queued behind the cancelled one died with the worker: resubmit them to a fresh worker
+    const worker = getSolverWorker();
+    for (const [pid, queued] of solverPending) {
+      if (worker) worker.postMessage({ type: queued.type, id: pid, params: queued.params });
+      else {
+        solverPending.delete(pid);
+        try { queued.resolve(runJobInPage(queued.type, queued.params, queued.onProgress)); } catch (err) { queued.reject(err); }
+      }
+    }
+  }, SOLVER_CANCEL_GRACE_MS);
+}
+
+/**
+ * Run optimize() against the solver worker.
+ * Returns { promise, cancel }; a cancelled promise rejects with an Error whose `cancelled` is true.
+ */
+function startSolve(params, { onProgress = null } = {}) {
+  let cancelled = false;
+  let currentId = null;
+  const solve = (p, hooks) => {
+    if (cancelled) return Promise.reject(solverCancelledError());
+    const { id, promise } = postJob('solve', p, hooks.onProgress);
+    currentId = id;
+    return promise;
+  };
+  const promise = optimize(params, { solve, onProgress });
+  return {
+    promise,
+    cancel() {
+      cancelled = true;
+      cancelSolve(currentId);
+    },
+  };
+}
+
 if (typeof window !== 'undefined') {
   // Namespace exports used by tools_drawer and debug consoles.
   window.QuiddlerSolver = Object.assign({}, window.QuiddlerSolver || {}, {
     optimize,
+    solveRack,
+    solveTokens,
+    startSolve,
   });
 }
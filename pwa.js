@@ -0,0 +1,80 @@
+'use strict';
+// pwa.js — Installable, offline-first app: registers the service worker (sw.js), shows whether the app is
+// available offline in the header (#pwaStatus), and offers to reload when a new version has been installed
+// (#pwaUpdate). Needs http(s): opened via file:// the app simply runs online-only.
+
+function setPwaStatus(text, tip, tone) {
+  const el = document.getElementById('pwaStatus');
+  if (!el) return;
+  el.textContent = text;
+  el.title = tip;
+  el.classList.remove('hidden', 'text-emerald-700', 'text-amber-700', 'text-gray-500');
+  el.classList.add(tone);
+}
+
+// Data files the app cannot work without (sw.js fails its install when they are missing)
+const PWA_REQUIRED_DATA = ['collins_dictionary.js', 'common_lemmas.js'];
+
+// The active worker's cache really holds the word list and lemma data
+async function offlineDataCached() {
+  const hits = await Promise.all(PWA_REQUIRED_DATA.map(url => caches.match(url)));
+  return hits.every(Boolean);
+}
+
+// ready: true (worker active and data cached), false (still installing) or 'failed'; the network state only
+// changes the wording
+function renderPwaStatus(ready) {
+  const online = navigator.onLine !== false;
+  if (ready === 'failed') {
+    setPwaStatus('⚠ Not available offline', 'The app could not be saved on this device (a file failed to download); it needs a connection', 'text-amber-700');
+  } else if (ready) {
+    setPwaStatus(online ? '✓ Available offline' : '✈ Offline',
+      online ? 'The app, the Collins word list and the libraries are saved on this device' : 'No connection: running from the saved copy (online dictionaries are unavailable)',
+      online ? 'text-emerald-700' : 'text-amber-700');
+  } else {
+    setPwaStatus(online ? 'Saving for offline…' : '✈ Offline', online ? 'Downloading the app for offline use' : 'No connection', online ? 'text-gray-500' : 'text-amber-700');
+  }
+}
+
+function showPwaUpdate(worker) {
+  const banner = document.getElementById('pwaUpdate');
+  if (!banner) return;
+  banner.classList.remove('hidden');
+  document.getElementById('pwaReloadBtn').onclick = () => {
+    window.__pwaReloading = true;
+    worker.postMessage({ type: 'SKIP_WAITING' });
+  };
+  document.getElementById('pwaDismissBtn').onclick = () => banner.classList.add('hidden');
+}
+
+async function initPwa() {
+  if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+  let ready = false;
+  ['online', 'offline'].forEach(evt => window.addEventListener(evt, () => renderPwaStatus(ready)));
+  renderPwaStatus(ready);
+  // The waiting worker took over after "Reload" (not on the first install, which claims the page quietly)
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (window.__pwaReloading) location.reload();
+  });
+  try {
+    const reg = await navigator.serviceWorker.register('sw.js');
+    if (reg.waiting && navigator.serviceWorker.controller) showPwaUpdate(reg.waiting);
+    const watchInstall = worker => worker?.addEventListener('statechange', () => {
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) showPwaUpdate(worker);
+      // A failed first install (e.g. a data file missing) leaves no worker to wait for
+      if (worker.state === 'redundant' && !reg.active) { ready = 'failed'; renderPwaStatus(ready); }
+    });
+    watchInstall(reg.installing);
+    reg.addEventListener('updatefound', () => watchInstall(reg.installing));
+    await navigator.serviceWorker.ready;
+    ready = (await offlineDataCached()) || 'failed';
+    renderPwaStatus(ready);
+  } catch (e) {
+    console.warn('Offline support unavailable', e);
+    document.getElementById('pwaStatus')?.classList.add('hidden');
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('load', initPwa);
+}
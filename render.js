@@ -1,17 +1,22 @@
 // render.js — UI rendering helpers for rounds, rows, and chits
 // Responsibilities:
-// - renderChit: visual for a word/chit with score, color by state, optional def icon
+// - renderChit: visual for a word/chit with score, color by state, optional def icon; the tooltip lists the
+//   word's challenge log entries (game.logChallenge)
 // - renderPlayerRow/Header/Controls: per-player row with inline edit and play helper gear
-// - renderRound: compose a round block from per-player rows
+// - renderRound: compose a round block from per-player rows (+ "Check all words" controls when interactive)
 // - initChitTooltips: wire up tippy tooltips for breakdowns and def icons
-// - renderOptimizedPlayFromResult: present solver output as chits and score summary
+// - renderOptimizedPlayFromResult: present solver output as chits and score summary (+ ranked alternatives)
+// - renderDrawAdviceFromResult: ranked take-face-up / draw-blind choices from the draw advisor
 // Notes:
-// - Word state colors: neutral=gray, valid=green, invalid=red
+// - Word state colors: neutral=gray, valid=green, invalid=red; an amber ring marks a word flagged by
+//   "Check all words" (game.checkRoundWords) that nobody has challenged yet; a purple ring and ⚖ mark a ruling
+//   the table overruled (game.overrideChallenge)
 // - The def-open icon triggers the dictionary drawer; breakdown tooltips are suppressed while hovering def icons
 
 // HTML for a single chit (reusable for rounds or optimizer)
 function renderChit(word, opts = {}) {
-  // opts: { roundIdx, player, wordIdx, interactive, showDefIcon, showBreakdown, forceState, forceShowDefIcon, extraClasses }
+  // opts: { roundIdx, player, wordIdx, interactive, showDefIcon, showBreakdown, forceState, forceShowDefIcon, extraClasses, log }
+  // - log: this word's entries from round.challengeLog, listed in the tooltip
   // - interactive adds data-action for challenge toggle
   // - showDefIcon is auto-enabled for valid words unless forceShowDefIcon is true
   // - showBreakdown enables tooltip built from scoring.breakdownStr
@@ -24,18 +29,35 @@ function renderChit(word, opts = {}) {
     showBreakdown = true,
     forceState = null,
     forceShowDefIcon = false,
-    extraClasses = ''
+    extraClasses = '',
+    log = []
   } = opts;
 
   const effectiveState = forceState ?? word.state;
   // Build tooltip content (score breakdown + optional challenger)
   let tipContent = breakdownStr(word.text);
-  if (word.challenger) {
-    const chall = String(word.challenger).replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;');
-    tipContent = `${tipContent}<br><span class=\"text-xs text-gray-500\">Challenged by ${chall}</span>`;
+  if (word.challenger && !log.length) {
+    tipContent = `${tipContent}<br><span class=\"text-xs text-gray-500\">Challenged by ${escapeHtml(word.challenger)}</span>`;
   }
+  if (log.length) {
+    tipContent = `${tipContent}<br><span class=\"text-xs text-gray-500\">${log.map(e => escapeHtml(challengeLogLine(e))).join('<br>')}</span>`;
+  }
+  const overruled = !!word.override && (effectiveState === 'valid' || effectiveState === 'invalid');
+  if (overruled) {
+    tipContent = `${tipContent}<br><span class=\"text-xs text-purple-700\">⚖ Overruled by the table (dictionary: ${escapeHtml(word.override.dictionary)}): ${escapeHtml(word.override.reason)}</span>`;
+  }
+  const flagged = !!word.flag && effectiveState === 'neutral';
+  if (flagged) {
+    tipContent = `${tipContent}<br><span class=\"text-xs text-amber-700\">⚠ Flagged: ${escapeHtml(word.flag)}${interactive ? ' (click to challenge)' : ''}</span>`;
+  }
+  // Longest-word bonus outcome for the word that earned (or tied for) it
+  if (word.bonusTip) {
+    tipContent = `${tipContent}<br><span class=\"text-xs text-gray-500\">${escapeHtml(word.bonusTip)}</span>`;
+  }
+  // Escape the tooltip HTML once more for the attribute: the browser decodes the attribute before tippy
+  // renders it with allowHTML, so text escaped only once above would come back as live markup
   const tooltipAttr = showBreakdown
-    ? `data-tippy-content="${tipContent.replace(/"/g, '&quot;')}"`
+    ? `data-tippy-content="${escapeHtml(tipContent)}"`
     : '';
 
   const colorClass =
@@ -64,8 +86,10 @@ function renderChit(word, opts = {}) {
   return `
     <button type="button"
       class="inline-flex items-baseline gap-1 px-1.5 py-0.5 rounded-md ${colorClass} ${cursorClass} ${extraClasses}
-             breakdown-tip ring-1 ring-black/5"
+             breakdown-tip ${flagged ? 'ring-2 ring-amber-400' : overruled ? 'ring-2 ring-purple-500' : 'ring-1 ring-black/5'}"
       ${tooltipAttr} ${interAttrs}>
+      ${flagged ? '<span class="text-amber-600" aria-label="flagged">⚠</span>' : ''}
+      ${overruled ? '<span class="text-purple-700" aria-label="overruled">⚖</span>' : ''}
       <span class="font-semibold tracking-tight">${word.text.toUpperCase()}</span>
       <span class="opacity-80">[${word.score}]</span>
       ${effectiveState === 'checking' ? '<span class="w-3 h-3 border-2 border-gray-500 border-t-transparent rounded-full animate-spin"></span>' : ''}
@@ -76,29 +100,39 @@ function renderChit(word, opts = {}) {
 
 // Row header segments
 function renderPlayerRowHeader(player, pdata, round) {
-  // Displays: player name (+ dealer emoji if this player dealt) | roundScore | breakdown
+  // Displays: player name (+ dealer emoji if this player dealt, 🏁 if they went out first) | roundScore | breakdown
   const isDealer = round && round.dealer === player;
+  const wentOut = round && round.wentOut === player;
   const dealerEmoji = (typeof window !== 'undefined' && window.QuiddlerGame?.DEALER_EMOJI) ? window.QuiddlerGame.DEALER_EMOJI : '🃏';
   // Smaller emoji (0.85em) for historical rounds only (current round inputs use game.js markup unchanged)
-  const nameHTML = `${player}${isDealer ? `<span class=\"dealer-indicator ml-0.5 align-middle\" style=\"font-size:0.85em; line-height:1; display:inline-block; transform:translateY(-1px);\" aria-label=\"${player} dealt round ${round.roundNum}\" data-tippy-content=\"${player} dealt round ${round.roundNum}\">${dealerEmoji}</span>` : ''}`;
+  const nameHTML = `${player}${isDealer ? `<span class=\"dealer-indicator ml-0.5 align-middle\" style=\"font-size:0.85em; line-height:1; display:inline-block; transform:translateY(-1px);\" aria-label=\"${player} dealt round ${round.roundNum}\" data-tippy-content=\"${player} dealt round ${round.roundNum}\">${dealerEmoji}</span>` : ''}${wentOut ? `<span class=\"went-out-indicator ml-0.5 align-middle\" style=\"font-size:0.85em; line-height:1;\" aria-label=\"${player} went out first\" title=\"${player} went out first\">🏁</span>` : ''}`;
   const parts = [];
   parts.push(Math.max(pdata.baseScore, 0));
   if (pdata.challengeDeductions) parts.push(`- ${pdata.challengeDeductions}`);
-  if (pdata.gotLongestBonus) parts.push(`+🦒`);
-  if (pdata.gotMostWordsBonus) parts.push(`+🥒`);
+  // Bonus shares (bonusNotes from game.recalculateScores): full bonus = icon, partial share = icon + points,
+  // a tie that paid nothing = icon + "tie"; the notes explain each outcome on hover
+  const notes = pdata.bonusNotes || [];
+  if (notes.length) {
+    notes.forEach(n => parts.push(n.points <= 0 ? `${n.icon} tie` : n.points < n.full ? `+${n.icon}${n.points}` : `+${n.icon}`));
+  } else {
+    if (pdata.gotLongestBonus) parts.push(`+🦒`);
+    if (pdata.gotMostWordsBonus) parts.push(`+🥒`);
+  }
   const breakdown = parts.join(' ');
+  const showBreakdown = pdata.challengeDeductions || pdata.bonus || notes.length;
+  const title = [showBreakdown ? `(${breakdown})` : '', ...notes.map(n => n.text)].filter(Boolean).join('\n');
 
   return `
     <span class="truncate min-w-0 flex-none max-w-[8ch] sm:justify-self-start">${nameHTML}</span>
     <span class="tabular-nums text-right justify-self-end flex-none w-[4ch]">${pdata.roundScore}</span>
     <span class="text-gray-600 truncate min-w-0 flex-1 sm:flex-none sm:block"
-          title="${(pdata.challengeDeductions || pdata.bonus) ? '('+breakdown+')' : ''}">
-      ${(pdata.challengeDeductions || pdata.bonus) ? '('+breakdown+')' : ''}
+          title="${escapeHtml(title)}">
+      ${showBreakdown ? '('+breakdown+')' : ''}
     </span>
   `;
 }
 
-// Interactive controls (edit + gear). Call only when interactive=true
+// Interactive controls (edit + gear + went-out marker). Call only when interactive=true
 function renderRowControls(roundIdx, player, extraRightHTML = '') {
   // Edit toggles inline text editing; gear pre-fills Play Helper with current row
   return `
@@ -109,6 +143,8 @@ function renderRowControls(roundIdx, player, extraRightHTML = '') {
                   class="plain-tip opacity-100 sm:opacity-0 group-hover:opacity-100 transition" data-tippy-content="Edit play">✏️</button>
           <button data-action="prefill-play" data-player="${player}" data-round="${roundIdx}"
                   class="plain-tip opacity-100 sm:opacity-0 group-hover:opacity-100 transition text-emerald-700 hover:text-emerald-900" data-tippy-content="Open with solver">⚙️</button>
+          <button data-action="went-out" data-player="${player}" data-round="${roundIdx}"
+                  class="plain-tip opacity-100 sm:opacity-0 group-hover:opacity-100 transition" data-tippy-content="Went out first (click again to clear)">🏁</button>
         </span>
         <span class="controls-edit-mode hidden inline-flex items-center gap-1">
           <button data-action="save-edit" data-player="${player}" data-round="${roundIdx}"
@@ -122,9 +158,12 @@ function renderRowControls(roundIdx, player, extraRightHTML = '') {
 }
 
 // ---------- Row validation (subtle) ----------
-function buildRowValidationIssues(pdata, expectedCards) {
+// roundTally (optional): card counts across every player's row this round (see roundTileTally), so a row is
+// flagged when it uses a card that the round as a whole uses more often than the deck contains.
+function buildRowValidationIssues(pdata, expectedCards, roundTally = null) {
   try {
-    const cards = window.QuiddlerData?.cardScores || (typeof cardScores !== 'undefined' ? cardScores : {});
+    const deck = resolveDeck();
+    const cards = deck.scores;
 
     let recognizedCount = 0;      // tokens matched by the parser
     let unknownDeck = [];         // matched tokens not in deck (normalized)
@@ -135,7 +174,7 @@ function buildRowValidationIssues(pdata, expectedCards) {
       const core = txt.startsWith('-') ? txt.slice(1) : txt;
 
       // Scan core, capturing matched tokens and gaps that are not parsed
-      const re = /\([a-z]+\)|[a-z]/gi;
+      const re = /\(\p{L}+\)|\p{L}/giu;
       let m;
       let idx = 0;
       const matchedTokens = [];
@@ -182,12 +221,44 @@ function buildRowValidationIssues(pdata, expectedCards) {
       issues.push(`Invalid cards: ${invalidItems.join(', ')}`);
     }
 
+    // Deck composition: only report cards this row actually uses
+    const rowTally = tileTally((pdata || []).flatMap(w => tokensForWord(w?.text)));
+    const overused = deckOveruse(roundTally || rowTally, deck.counts).filter(o => rowTally[o.tile]);
+    if (overused.length) {
+      const scope = roundTally ? 'Round' : 'Row';
+      issues.push(`${scope} uses more than the deck holds: ${overused.map(o => `${toCardToken(o.tile)} ×${o.used} (deck has ${o.available})`).join(', ')}`);
+    }
+
     return issues;
   } catch (e) {
     return [];
   }
 }
 
+// Combined card counts for all players' rows in a round
+function roundTileTally(round) {
+  const tally = Object.create(null);
+  Object.values((round && round.players) || {}).forEach(pdata => {
+    (pdata || []).forEach(w => tileTally(tokensForWord(w?.text), tally));
+  });
+  return tally;
+}
+
+// One challenge log entry as a tooltip line (plain text; saved or imported state, so callers escape it), e.g.
+// "19:42 Bob challenged → invalid (Collins (2019): no · online: not found)"
+function challengeLogLine(e) {
+  const time = new Date(e.at);
+  const when = isNaN(time) ? '' : `${time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} `;
+  const who = e.challenger == null ? 'GOD' : e.challenger;
+  if (e.kind === 'clear') return `${when}${who}'s challenge withdrawn (was ${e.result})`;
+  if (e.kind === 'override') return `${when}table overruled → ${e.result}: ${e.reason}`;
+  const said = e.source === 'house'
+    ? ['house ruling']
+    : [`${e.wordList || 'word list'}: ${e.local ? 'yes' : 'no'}`, ...(e.api ? [`${e.provider || 'online'}: ${e.api === 'error' ? 'unreachable, word list only' : e.api}`] : [])];
+  const from = e.flag ? ' from a flag' : '';
+  return `${when}${who} challenged${from} → ${e.result} (${said.join(' · ')})`;
+}
+
 function escapeHtml(s){
   return String(s)
     .replace(/&/g, '&amp;')
@@ -197,7 +268,7 @@ function escapeHtml(s){
 }
 
 // Render one player's row (interactive or static)
-function renderPlayerRow(roundIdx, player, pdata, {interactive = true, expectedCards = null, round = null} = {}) {
+function renderPlayerRow(roundIdx, player, pdata, {interactive = true, expectedCards = null, round = null, roundTally = null} = {}) {
   // Builds header, optional controls, list of chits and hidden edit block
   const header = renderPlayerRowHeader(player, pdata, round);
 
@@ -212,7 +283,7 @@ function renderPlayerRow(roundIdx, player, pdata, {interactive = true, expectedC
       issues = ['No submission'];
     }
   } else {
-    issues = buildRowValidationIssues(pdata, expectedCards);
+    issues = buildRowValidationIssues(pdata, expectedCards, roundTally);
   }
 
   const valHTML = (() => {
@@ -230,8 +301,9 @@ function renderPlayerRow(roundIdx, player, pdata, {interactive = true, expectedC
 
   const controls = interactive ? renderRowControls(roundIdx, player, valHTML) : '';
 
+  const log = ((round && round.challengeLog) || []).filter(e => e.player === player);
   const chits = pdata.map((word, i) =>
-    renderChit(word, { roundIdx, player, wordIdx: i, interactive, showDefIcon: true })
+    renderChit(word, { roundIdx, player, wordIdx: i, interactive, showDefIcon: true, log: log.filter(e => e.word === word.text) })
   ).join(' ');
 
   const editBlock = interactive ? `
@@ -259,9 +331,29 @@ function renderPlayerRow(roundIdx, player, pdata, {interactive = true, expectedC
   `;
 }
 
+// "Check all words" button, then either the flag count (click it to pick one challenger for every flag) or an
+// all-clear note after a check that flagged nothing (a warning instead when the online dictionary was unreachable)
+function renderRoundCheckControls(round, roundIdx, playerList) {
+  if (round.checking) return '<span class="text-xs text-gray-500">Checking…</span>';
+  const flagged = playerList.reduce((n, p) => n + (round.players[p] || []).filter(w => w.flag && w.state === 'neutral').length, 0);
+  const check = `<button data-action="check-round" data-round="${roundIdx}" class="plain-tip text-xs text-blue-600 hover:underline"
+                    data-tippy-content="Check all words against the dictionary (flags only, no deductions)">🔎 Check</button>`;
+  let status = '';
+  if (flagged) {
+    status = `<button data-action="challenge-flagged" data-round="${roundIdx}" class="plain-tip text-xs text-amber-700 hover:underline"
+                 data-tippy-content="Challenge all ${flagged} flagged word${flagged === 1 ? '' : 's'}: pick the challenger">⚠ ${flagged}</button>`;
+  } else if (round.wordsChecked === 'partial') {
+    status = `<span class="plain-tip text-xs text-amber-700"
+                data-tippy-content="The online dictionary could not be reached: some words were checked on the word list only">⚠ not checked online</span>`;
+  } else if (round.wordsChecked) {
+    status = '<span class="text-xs text-emerald-700">✓ clear</span>';
+  }
+  return `${check}${status}`;
+}
+
 // Render a whole round block (interactive or static)
-function renderRound(round, roundIdx, {interactive = true} = {}) {
-  // Maps current global players order to rows for this round
+function renderRound(round, roundIdx, {interactive = true, players: playerOrder = null} = {}) {
+  // Maps current global players order (or playerOrder, e.g. an archived game's players) to rows for this round
   if (round && round.skipped) {
     return `
       <div class="my-4 flex gap-4 border-b border-gray-200 pb-4">
@@ -270,16 +362,21 @@ function renderRound(round, roundIdx, {interactive = true} = {}) {
       </div>
     `;
   }
-  const playerList = (window.QuiddlerGame?.players)
+  const playerList = playerOrder ? playerOrder
+    : (window.QuiddlerGame?.players)
     ? window.QuiddlerGame.players
     : (typeof players !== 'undefined' ? players : []);
 
+  const roundTally = roundTileTally(round);
   const rows = playerList
-    .map(player => renderPlayerRow(roundIdx, player, round.players[player], {interactive, expectedCards: round.roundNum, round}))
+    .map(player => renderPlayerRow(roundIdx, player, round.players[player], {interactive, expectedCards: round.roundNum, round, roundTally}))
     .join('');
   return `
     <div class="my-4 flex gap-4 border-b border-gray-200 pb-4">
-      <div class="font-bold min-w-[50px] flex items-center justify-center text-xl">${round.roundNum}</div>
+      <div class="min-w-[50px] flex flex-col items-center justify-center gap-1">
+        <div class="font-bold text-xl">${round.roundNum}</div>
+        ${interactive ? renderRoundCheckControls(round, roundIdx, playerList) : ''}
+      </div>
       <div class="flex flex-col gap-2">
         ${rows}
       </div>
@@ -353,15 +450,12 @@ function initChitTooltips(container = document) {
   return { breakdownInstances, defInstances, valInstances, dealerInstances, controlInstances };
 }
 
-function renderOptimizedPlayFromResult(containerId, result) {
-  // Renders solver result as chits:
+// Chits for one solver play: words, collapsed leftovers, and the discard
+function renderPlayChits(play) {
   // - words[] as neutral chits with forced def icons
   // - unusedTiles collapsed into a single invalid '-' chit
   // - discardTile shown as a yellow neutral '-' chit (informational)
-  const el = document.getElementById(containerId);
-  if (!el) return;
-
-  const usedWordChits = (result.words || [])
+  const usedWordChits = (play.words || [])
     .map(w => renderChit(
       { text: w.word, score: w.score, state: 'neutral' },
       { interactive: false, forceState: 'neutral', forceShowDefIcon: true, showDefIcon: true }
@@ -369,29 +463,19 @@ function renderOptimizedPlayFromResult(containerId, result) {
     .join(' ');
 
   let unusedChitHTML = '';
-  if (Array.isArray(result.unusedTiles) && result.unusedTiles.length) {
-    const toTok = toCardToken;
-    const parse = parseCards;
-    const calc  = calculateScore;
-
-    const combined = '-' + result.unusedTiles.map(toTok).join('');
-    const unusedScore = calc(parse(combined.replace('-', '')));
+  if (Array.isArray(play.unusedTiles) && play.unusedTiles.length) {
+    const combined = '-' + play.unusedTiles.map(toCardToken).join('');
     unusedChitHTML = renderChit(
-      { text: combined, score: unusedScore, state: 'invalid' },
+      { text: combined, score: scoreForChit(combined), state: 'invalid' },
       { interactive: false, forceState: 'invalid', showDefIcon: false }
     );
   }
 
   let discardChitHTML = '';
-  if (result.discardTile) {
-    const toTok = toCardToken;
-    const parse = parseCards;
-    const calc  = calculateScore;
-
-    const discardText = '-' + toTok(result.discardTile);
-    const discardScore = calc(parse(discardText.replace('-', '')));
+  if (play.discardTile) {
+    const discardText = '-' + toCardToken(play.discardTile);
     discardChitHTML = renderChit(
-      { text: discardText, score: discardScore, state: 'neutral' },
+      { text: discardText, score: scoreForChit(discardText), state: 'neutral' },
       {
         interactive: false,
         forceState: 'neutral',
@@ -401,29 +485,108 @@ function renderOptimizedPlayFromResult(containerId, result) {
     );
   }
 
-  const base = Number(result.baseScore ?? 0);
-  const leftover = Number(result.leftoverValue ?? 0);
-  const baseShown = Math.max(base - leftover, 0);
+  return `${usedWordChits} ${unusedChitHTML} ${discardChitHTML}`;
+}
+
+// Score summary numbers for one solver play
+function playScoreSummary(play) {
+  const base = Number(play.baseScore ?? 0);
+  const leftover = Number(play.leftoverValue ?? 0);
+  const bLong = Number(play?.bonus?.longest ?? 0);
+  const bMost = Number(play?.bonus?.most ?? 0);
+  return {
+    baseShown: Math.max(base - leftover, 0),
+    leftover,
+    bLong,
+    bMost,
+    total: Number(play.totalScore ?? (base + bLong + bMost)),
+  };
+}
+
+// "Can go out / cannot go out" verdict for a go-out mode solve (result.goOut from solveRack)
+function renderGoOutVerdict(result) {
+  const g = result && result.goOut;
+  if (!g) return '';
+  if (!g.possible) {
+    return `
+      <div class="rounded-md bg-red-50 ring-1 ring-red-200 px-3 py-2 text-sm text-red-800">
+        <span class="font-semibold">Cannot go out</span>: every play leaves at least one card besides the discard.
+      </div>`;
+  }
+  const goOut = playScoreSummary(g.play);
+  // Chits for the go-out play only when it is not already the best play shown below
+  const showChits = !(result.plays && result.plays[0] === g.play) && !result.goesOut;
+  let compare = '';
+  if (g.bestOther) {
+    const other = playScoreSummary(g.bestOther);
+    const diff = goOut.total - other.total;
+    const diffStr = diff === 0 ? 'same score' : `${diff > 0 ? '+' : '−'}${Math.abs(diff)}`;
+    compare = `<div class="text-xs text-emerald-900/80">Best play without going out: ${other.total} (going out: ${diffStr})</div>`;
+  }
+  return `
+    <div class="rounded-md bg-emerald-50 ring-1 ring-emerald-200 px-3 py-2 text-sm text-emerald-800 space-y-1">
+      <div><span class="font-semibold">Can go out</span> for ${goOut.total} points${showChits ? ':' : ' (best play below)'}</div>
+      ${showChits ? `<div class="flex flex-wrap items-center gap-1">${renderPlayChits(g.play)}</div>` : ''}
+      ${compare}
+    </div>`;
+}
+
+function renderOptimizedPlayFromResult(containerId, result) {
+  // Renders solver result as chits (see renderPlayChits), then any ranked alternatives
+  // (result.plays[1..]) in a collapsed list with score, leftover penalty, and bonus outcomes.
+  // In go-out mode a verdict block (renderGoOutVerdict) is shown above the best play.
+  const el = document.getElementById(containerId);
+  if (!el) return;
 
-  const bLong = Number(result?.bonus?.longest ?? 0);
-  const bMost = Number(result?.bonus?.most ?? 0);
-  const total = Number(result.totalScore ?? (base + bLong + bMost));
+  const { baseShown, bLong, bMost, total } = playScoreSummary(result);
   const hasBonus = Boolean(bLong || bMost);
 
   const breakdownInline = hasBonus
     ? ` <span class="text-gray-600 text-[18px]">(${baseShown}${bLong ? ' + 🦒' : ''}${bMost ? ' + 🥒' : ''})</span>`
     : '';
 
+  const alternatives = (Array.isArray(result.plays) ? result.plays.slice(1) : [])
+    .filter(p => Array.isArray(p.words) && p.words.length);
+  const altHTML = alternatives.length ? `
+      <details class="mt-3 border-t border-gray-100 pt-2">
+        <summary class="text-sm text-blue-700 cursor-pointer select-none hover:underline">
+          ${alternatives.length} alternative play${alternatives.length === 1 ? '' : 's'}
+        </summary>
+        <ol class="mt-2 space-y-2">
+          ${alternatives.map((play, i) => {
+            const s = playScoreSummary(play);
+            const parts = [];
+            if (s.leftover) parts.push(`−${s.leftover} leftover`);
+            if (s.bLong) parts.push('🦒');
+            if (s.bMost) parts.push('🥒');
+            if (play.goesOut) parts.push('goes out');
+            return `
+            <li class="flex flex-col gap-1">
+              <div class="flex items-baseline gap-2 text-sm">
+                <span class="text-gray-400 tabular-nums w-[2ch] text-right">${i + 2}.</span>
+                <span class="font-semibold tabular-nums">${s.total}</span>
+                ${parts.length ? `<span class="text-gray-500 text-xs">(${parts.join(', ')})</span>` : ''}
+              </div>
+              <div class="flex flex-wrap items-center gap-1 pl-[3ch]">
+                ${renderPlayChits(play)}
+              </div>
+            </li>`;
+          }).join('')}
+        </ol>
+      </details>` : '';
+
   el.innerHTML = `
     <div class="space-y-2">
+      ${renderGoOutVerdict(result)}
       <div class="flex items-baseline gap-2">
         <span class="text-[18px] font-semibold">Score:</span>
         <span class="text-[18px] font-semibold tabular-nums">${total}</span>
         ${breakdownInline}
       </div>
       <div class="flex flex-wrap items-center gap-1">
-        ${usedWordChits} ${unusedChitHTML} ${discardChitHTML}
+        ${renderPlayChits(result)}
       </div>
+      ${altHTML}
     </div>
   `;
 
@@ -439,6 +602,49 @@ function renderOptimizedPlayFromResult(containerId, result) {
   initChitTooltips(el);
 }
 
+// Ranked draw/discard choices from advisor.adviseDraw
+function renderDrawAdviceFromResult(containerId, advice) {
+  const el = document.getElementById(containerId);
+  if (!el) return;
+  const choices = (advice && advice.choices) || [];
+  if (!choices.length) {
+    el.innerHTML = '<div class="text-sm text-gray-500">No choices to compare.</div>';
+    return;
+  }
+  const pct = p => `${Math.round(p * 100)}%`;
+  const tok = t => escapeHtml(toCardToken(t).toUpperCase());
+
+  const rows = choices.map((c, i) => {
+    let label, detail;
+    if (c.source === 'faceUp') {
+      label = `Take ${tok(c.take)}, throw ${tok(c.discard)}`;
+      const words = (c.play.words || []).map(w => escapeHtml(w.word.toUpperCase())).join(' ');
+      detail = `${words || 'no words'}${c.play.goesOut ? ' · goes out' : ''}`;
+    } else {
+      label = 'Draw blind';
+      const usual = (c.discardOdds || []).slice(0, 2).map(d => `${tok(d.tile)} ${pct(d.p)}`).join(', ');
+      detail = `goes out in ${pct(c.goOutChance)} of ${c.samples} draws${usual ? ` · usually throw ${usual}` : ''}`;
+    }
+    const score = c.source === 'blind'
+      ? `${c.expected.toFixed(1)} <span class="text-gray-400 text-xs">±${c.stdErr.toFixed(1)}</span>`
+      : `${c.expected}`;
+    return `
+      <li class="flex flex-col ${i === 0 ? 'bg-emerald-50 ring-1 ring-emerald-200' : ''} rounded-md px-2 py-1">
+        <div class="flex items-baseline gap-2 text-sm">
+          <span class="text-gray-400 tabular-nums w-[2ch] text-right">${i + 1}.</span>
+          <span class="font-semibold flex-1">${label}</span>
+          <span class="tabular-nums">${score}</span>
+        </div>
+        <div class="pl-[3ch] text-xs text-gray-500">${detail}</div>
+      </li>`;
+  }).join('');
+
+  el.innerHTML = `
+    <ol class="space-y-1">${rows}</ol>
+    <div class="mt-2 text-[11px] text-gray-400">${advice.unseen.total} unseen cards · scores are the best play after the turn</div>
+  `;
+}
+
 // Expose render helpers under a namespace
 if (typeof window !== 'undefined') {
   window.QuiddlerRender = Object.assign({}, window.QuiddlerRender || {}, {
@@ -449,5 +655,8 @@ if (typeof window !== 'undefined') {
     renderRound,
     initChitTooltips,
     renderOptimizedPlayFromResult,
+    renderPlayChits,
+    renderGoOutVerdict,
+    renderDrawAdviceFromResult,
   });
 }
@@ -0,0 +1,231 @@
+'use strict';
+// rules.js — Scoring rules and named rule presets
+// - A rules object holds every rule the scoring engine reads (game.js recalculateScores and challenges);
+//   the game's rules are saved with the game, so changing or deleting a preset never rescored old games.
+// - Built-in presets: 'house' (this app's classic rules), 'official' and 'tournament'. Custom presets are
+//   saved from the pre-game form and persisted in localStorage.
+//
+// Rules shape:
+//   {
+//     startCards: 3, endCards: 10,             // smallest and largest hand size
+//     rounds: 'up',                            // round order, see ROUND_ORDERS and roundSequence
+//     customRounds: [],                        // hand sizes in play order, for rounds: 'custom'
+//     longestWord: { enabled, points, ties },  // ties: see BONUS_TIE_POLICIES
+//     mostWords:   { enabled, points, ties },
+//     goingOut:    { enabled, points },        // bonus for the player marked as going out first in a round
+//     negativeRoundScores: false,              // false: a round's word score (after deductions) floors at 0
+//     excludeQualifiers: [],                   // Collins qualifiers (lower case, e.g. 'obsolete') that make a word
+//                                              //   invalid when every sense carries one (collins_parsing.js)
+//     challenge: {
+//       failed: 'word' | 'fixed' | 'none',     // challenger's penalty when the word is valid
+//       lost:   'word' | 'fixed' | 'none',     // player's penalty when the word is ruled invalid (the word
+//                                              //   itself never scores once it loses a challenge)
+//       points: 5,                             // the 'fixed' penalty
+//       god: true,                             // allow "GOD" challenges (dictionary check without a challenger)
+//     },
+//   }
+
+const RULE_PRESETS_STORAGE_KEY = 'quiddlerRulePresetsV1';
+const DEFAULT_RULE_PRESET_ID = 'house';
+// When several players (or teams) lead a bonus:
+// - 'none':   nobody gets it (only a sole leader earns the bonus)
+// - 'shared': everyone tied gets the full bonus
+// - 'split':  the points are divided between them (rounded down)
+// - 'points': the tied player with the most word points that round gets it (still tied: nobody)
+const BONUS_TIE_POLICIES = ['none', 'shared', 'split', 'points'];
+const CHALLENGE_PENALTIES = ['word', 'fixed', 'none'];
+// 'up': startCards → endCards; 'down': endCards → startCards; 'updown': up then back down (3…10…3);
+// 'custom': the customRounds list
+const ROUND_ORDERS = ['up', 'down', 'updown', 'custom'];
+const MIN_HAND = 3;
+const MAX_HAND = 30;
+
+const DEFAULT_RULES = {
+  startCards: 3,
+  endCards: 10,
+  rounds: 'up',
+  customRounds: [],
+  longestWord: { enabled: false, points: 10, ties: 'none' },
+  mostWords: { enabled: false, points: 10, ties: 'none' },
+  goingOut: { enabled: false, points: 10 },
+  negativeRoundScores: false,
+  excludeQualifiers: [],
+  challenge: { failed: 'word', lost: 'word', points: 5, god: true },
+};
+
+// Fill defaults and validate. Throws Error with a user-facing message.
+function normalizeRules(def) {
+  const src = def && typeof def === 'object' ? def : {};
+  const whole = (v, fallback, what, min = 0) => {
+    if (v == null) return fallback;
+    const n = Number(v);
+    if (!Number.isInteger(n) || n < min) throw new Error(`Rules: ${what} must be a whole number ≥ ${min}.`);
+    return n;
+  };
+  const oneOf = (v, allowed, fallback, what) => {
+    if (v == null) return fallback;
+    if (!allowed.includes(v)) throw new Error(`Rules: ${what} must be one of ${allowed.join(', ')}.`);
+    return v;
+  };
+  const bonus = (b, fallback, what) => ({
+    enabled: b?.enabled != null ? !!b.enabled : fallback.enabled,
+    points: whole(b?.points, fallback.points, `${what} points`),
+    ties: oneOf(b?.ties, BONUS_TIE_POLICIES, fallback.ties, `${what} ties`),
+  });
+
+  const startCards = whole(src.startCards, DEFAULT_RULES.startCards, 'startCards', MIN_HAND);
+  const endCards = whole(src.endCards, DEFAULT_RULES.endCards, 'endCards', 1);
+  if (startCards > endCards) throw new Error('Rules: startCards cannot be greater than endCards.');
+  const rounds = oneOf(src.rounds, ROUND_ORDERS, DEFAULT_RULES.rounds, 'rounds');
+  if (src.customRounds != null && !Array.isArray(src.customRounds)) throw new Error('Rules: customRounds must be a list of hand sizes.');
+  // Only kept for the custom order, so presets compare equal whatever the (hidden) list box holds
+  const customRounds = (rounds === 'custom' ? src.customRounds || [] : []).map(n => {
+    const v = Number(n);
+    if (!Number.isInteger(v) || v < MIN_HAND || v > MAX_HAND) throw new Error(`Rules: each custom round must be ${MIN_HAND}–${MAX_HAND} cards.`);
+    return v;
+  });
+  if (rounds === 'custom' && !customRounds.length) throw new Error('Rules: list at least one hand size for custom rounds.');
+  if (src.excludeQualifiers != null && !Array.isArray(src.excludeQualifiers)) throw new Error('Rules: excludeQualifiers must be a list of qualifiers.');
+  const excludeQualifiers = Array.from(new Set((src.excludeQualifiers || []).map(q => String(q).trim().toLowerCase()).filter(Boolean))).sort();
+  const ch = src.challenge || {};
+  return {
+    startCards,
+    endCards,
+    rounds,
+    customRounds,
+    longestWord: bonus(src.longestWord, DEFAULT_RULES.longestWord, 'longest word'),
+    mostWords: bonus(src.mostWords, DEFAULT_RULES.mostWords, 'most words'),
+    goingOut: {
+      enabled: src.goingOut?.enabled != null ? !!src.goingOut.enabled : DEFAULT_RULES.goingOut.enabled,
+      points: whole(src.goingOut?.points, DEFAULT_RULES.goingOut.points, 'going out points'),
+    },
+    negativeRoundScores: src.negativeRoundScores != null ? !!src.negativeRoundScores : DEFAULT_RULES.negativeRoundScores,
+    excludeQualifiers,
+    challenge: {
+      failed: oneOf(ch.failed, CHALLENGE_PENALTIES, DEFAULT_RULES.challenge.failed, 'challenge.failed'),
+      lost: oneOf(ch.lost, CHALLENGE_PENALTIES, DEFAULT_RULES.challenge.lost, 'challenge.lost'),
+      points: whole(ch.points, DEFAULT_RULES.challenge.points, 'challenge.points'),
+      god: ch.god != null ? !!ch.god : DEFAULT_RULES.challenge.god,
+    },
+  };
+}
+
+// Hand sizes in play order
+function roundSequence(r) {
+  const up = [];
+  for (let n = r.startCards; n <= r.endCards; n++) up.push(n);
+  if (r.rounds === 'down') return up.reverse();
+  if (r.rounds === 'updown') return [...up, ...up.slice(0, -1).reverse()];
+  if (r.rounds === 'custom') return r.customRounds.slice();
+  return up;
+}
+
+// "obsolete, Scots" → ['obsolete', 'Scots'] (normalizeRules lower-cases them)
+function parseQualifierList(text) {
+  return String(text || '').split(/[,;]/).map(q => q.trim()).filter(Boolean);
+}
+
+// "3, 5, 7" / "3 5 7" → [3, 5, 7] (invalid entries are kept as NaN so normalizeRules reports them)
+function parseRoundList(text) {
+  return String(text || '').split(/[\s,;]+/).filter(Boolean).map(Number);
+}
+
+function rulesEqual(a, b) {
+  return JSON.stringify(normalizeRules(a)) === JSON.stringify(normalizeRules(b));
+}
+
+// ---------- Presets ----------
+// { id, name, rules, builtIn }
+const RULE_PRESETS = new Map();
+[
+  { id: 'house', name: 'House (classic app rules)', rules: {} },
+  {
+    id: 'official',
+    name: 'Official',
+    rules: {
+      longestWord: { enabled: true, points: 10 },
+      mostWords: { enabled: true, points: 10 },
+      negativeRoundScores: true,
+      challenge: { failed: 'none', lost: 'word', god: true },
+    },
+  },
+  {
+    id: 'tournament',
+    name: 'Tournament',
+    rules: {
+      longestWord: { enabled: true, points: 10 },
+      mostWords: { enabled: true, points: 10 },
+      negativeRoundScores: true,
+      challenge: { failed: 'fixed', lost: 'word', points: 5, god: false },
+    },
+  },
+].forEach(p => RULE_PRESETS.set(p.id, { ...p, rules: normalizeRules(p.rules), builtIn: true }));
+
+function getRulePreset(id) {
+  return RULE_PRESETS.get(id) || null;
+}
+function listRulePresets() {
+  return Array.from(RULE_PRESETS.values());
+}
+// Preset whose rules match exactly (for labelling a game's rules), or null
+function findRulePreset(rules) {
+  return listRulePresets().find(p => rulesEqual(p.rules, rules)) || null;
+}
+
+function loadCustomRulePresets() {
+  if (typeof localStorage === 'undefined') return;
+  try {
+    const list = JSON.parse(localStorage.getItem(RULE_PRESETS_STORAGE_KEY) || '[]');
+    (Array.isArray(list) ? list : []).forEach(p => {
+      try {
+        if (!p || !p.id || RULE_PRESETS.get(p.id)?.builtIn) return;
+        RULE_PRESETS.set(p.id, { id: p.id, name: String(p.name || p.id), rules: normalizeRules(p.rules), builtIn: false });
+      } catch (e) {
+        console.warn('Skipping invalid rule preset', e);
+      }
+    });
+  } catch (e) {
+    console.warn('Rule preset load failed', e);
+  }
+}
+function persistCustomRulePresets() {
+  if (typeof localStorage === 'undefined') return;
+  try {
+    const list = listRulePresets().filter(p => !p.builtIn).map(({ id, name, rules }) => ({ id, name, rules }));
+    localStorage.setItem(RULE_PRESETS_STORAGE_KEY, JSON.stringify(list));
+  } catch {}
+}
+// Save (or overwrite) a custom preset by name. Returns the preset.
+function saveRulePreset(name, rules) {
+  const label = String(name || '').trim();
+  if (!label) throw new Error('Give the preset a name.');
+  const id = customEntryId(label);
+  if (RULE_PRESETS.get(id)?.builtIn) throw new Error(`"${label}" is a built-in preset; pick another name.`);
+  const preset = { id, name: label, rules: normalizeRules(rules), builtIn: false };
+  RULE_PRESETS.set(id, preset);
+  persistCustomRulePresets();
+  return preset;
+}
+function removeRulePreset(id) {
+  const preset = RULE_PRESETS.get(id);
+  if (!preset || preset.builtIn) return false;
+  RULE_PRESETS.delete(id);
+  persistCustomRulePresets();
+  return true;
+}
+
+loadCustomRulePresets();
+
+if (typeof window !== 'undefined') {
+  window.QuiddlerRules = Object.assign({}, window.QuiddlerRules || {}, {
+    DEFAULT_RULES,
+    BONUS_TIE_POLICIES,
+    normalizeRules,
+    roundSequence,
+    getRulePreset,
+    listRulePresets,
+    findRulePreset,
+    saveRulePreset,
+    removeRulePreset,
+  });
+}
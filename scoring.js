@@ -4,23 +4,27 @@
   scoring.js
   Core scoring helpers used across the app:
   - parseCards: split a text word into card tokens, handling digraphs like (qu)
-  - calculateScore: sum points for a list of tokens using card_scores.js
+  - calculateScore: sum points for a list of tokens using the active deck (decks.js)
   - toCardToken / pointsArrayFor / breakdownStr: UI helpers for rendering
+  - tileTally / deckOveruse: compare card usage against the deck composition (deck.counts)
 
   Conventions:
   - Input words may include parentheses to indicate digraph tiles (e.g., (qu)).
   - A leading '-' denotes unused/penalty chits. Callers strip '-' before parsing.
-  - cardScores (from card_scores.js) is the single source of truth for tile points.
+  - Tile points come from a deck (decks.js). Functions taking an optional `deck` (id, definition or
+    normalized deck) default to the active deck for the current game.
 */
 
-// Parse input into card tokens, recognizing digraphs wrapped in parentheses
+// Parse input into card tokens, recognizing digraphs wrapped in parentheses.
+// Any letter counts (not only a-z) so decks for other languages can use accented cards.
 function parseCards(word) {
-  return word.match(/\([a-z]+\)|[a-z]/gi) || [];
+  return word.match(/\(\p{L}+\)|\p{L}/giu) || [];
 }
 
 // Calculate score for a list of card tokens (now uses normalizeToken for consistency)
-function calculateScore(cards) {
-  return cards.reduce((total, card) => total + (cardScores[normalizeToken(card)] || 1), 0);
+function calculateScore(cards, deck) {
+  const scores = resolveDeck(deck).scores;
+  return cards.reduce((total, card) => total + (scores[normalizeToken(card)] ?? 1), 0);
 }
 
 // Utility to convert a token to display form (wrap digraphs in parentheses)
@@ -45,14 +49,15 @@ function tokensForWord(wordText) {
 }
 
 // NEW: Score helper for a chit text (handles leading '-')
-function scoreForChit(wordText) {
-  return calculateScore(tokensForWord(wordText));
+function scoreForChit(wordText, deck) {
+  return calculateScore(tokensForWord(wordText), deck);
 }
 
 // Make the letter-points array for a word text (handles digraphs)
-function pointsArrayFor(wordText) {
+function pointsArrayFor(wordText, deck) {
+  const scores = resolveDeck(deck).scores;
   const letters = tokensForWord(wordText);
-  return letters.map(l => cardScores[normalizeToken(l)] || 1);
+  return letters.map(l => scores[normalizeToken(l)] ?? 1);
 }
 
 // NEW: Join a list of tokens into a display word using parentheses for digraphs
@@ -77,6 +82,27 @@ function breakdownStr(wordText) {
   return arr.join(' + ');
 }
 
+// Count cards by scoring key, e.g. ['(qu)','i','t','i'] -> { qu:1, i:2, t:1 }
+function tileTally(tokens, into = Object.create(null)) {
+  for (const t of tokens || []) {
+    const k = normalizeToken(t);
+    if (k) into[k] = (into[k] || 0) + 1;
+  }
+  return into;
+}
+
+// Cards used more often than the deck holds: [{ tile, used, available }] (unknown cards are ignored).
+// deckCounts defaults to the active deck's counts; decks without counts never report overuse.
+function deckOveruse(tally, deckCounts = resolveDeck().counts) {
+  const over = [];
+  if (!deckCounts) return over;
+  for (const [tile, used] of Object.entries(tally || {})) {
+    if (!(tile in deckCounts)) continue;
+    if (used > deckCounts[tile]) over.push({ tile, used, available: deckCounts[tile] });
+  }
+  return over;
+}
+
 // Optional color helper (not strictly required by rendering as classes are chosen inline)
 function chitColorClass(word) {
   return word.state === 'invalid' ? 'bg-red-300' : word.state === 'valid' ? 'bg-green-300' : 'bg-gray-200';
@@ -98,5 +124,7 @@ if (typeof window !== 'undefined') {
     stripPenalty,
     tokensForWord,
     scoreForChit,
+    tileTally,
+    deckOveruse,
   });
 }
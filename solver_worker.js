@@ -0,0 +1,80 @@
+'use strict';
+// solver_worker.js — Runs the Quiddler solver off the main thread
+// Loads the same data + solver scripts as the page, builds the word trie once, and answers solve requests.
+//
+// Protocol (page → worker):
+//   { type:'solve', id, params }   params as optimizer.solveRack (tiles, noDiscard, thresholds, bonuses, deck, exclude…)
+//   { type:'advise', id, params }  params as advisor.adviseDraw (rack, faceUp, knownDiscards + solver options)
+//   { type:'init', cancelFlags }   Int32Array over a SharedArrayBuffer (cross-origin isolated pages only): a running
+//                                  job stops when cancelFlags[id % length] === id; see cancelSolve in optimizer.js
+//   { type:'cancel', id }          drop a queued/not-yet-started job (without cancelFlags a running search is
+//                                  stopped by terminate())
+// Protocol (worker → page):
+//   { type:'progress', id, phase:'trie'|'candidates'|'search'|'goOut'|'advise', ... }
+//   { type:'result', id, result } | { type:'cancelled', id } | { type:'error', id, message, code }
+//
+// See startSolve in optimizer.js (and startAdvise in advisor.js) for the page-side client.
+
+importScripts('card_scores.js', 'decks.js', 'collins_dictionary.js', 'collins_parsing.js', 'word_lists.js', 'common_lemmas.js', 'scoring.js', 'optimizer.js', 'advisor.js');
+
+// Synchronous job runners by message type
+const JOBS = { solve: solveRack, advise: adviseDraw };
+
+// wink-lemmatizer is ESM-only; load it on first "common words" solve (the vendored build index.html imports)
+const LEMMATIZER_URL = './vendor/wink-lemmatizer.js';
+let lemmatizerReady = null;
+function ensureLemmatizer() {
+  if (!lemmatizerReady) {
+    lemmatizerReady = import(LEMMATIZER_URL)
+      .then(mod => { self.winkLemmatizer = mod.default || mod; })
+      .catch(e => console.warn('Solver worker: lemmatizer unavailable; common filter uses exact forms.', e));
+  }
+  return lemmatizerReady;
+}
+
+const cancelledIds = new Set();
+let cancelFlags = null;
+let queue = Promise.resolve();
+
+function isCancelled(id) {
+  return cancelledIds.has(id) || (!!cancelFlags && Atomics.load(cancelFlags, id % cancelFlags.length) === id);
+}
+
+async function runJob(type, id, params) {
+  try {
+    if (params && params.commonOnly) await ensureLemmatizer();
+    // Lazily-loaded word lists (word_lists.js) are fetched by the worker itself the first time
+    if (params && params.wordList) await loadWordList(wordListFromRef(params.wordList));
+    // Yield once so a cancel posted right after the solve is seen before the heavy work starts
+    await new Promise(resolve => setTimeout(resolve, 0));
+    if (isCancelled(id)) {
+      self.postMessage({ type: 'cancelled', id });
+      return;
+    }
+    const result = JOBS[type](params, {
+      onProgress: (p) => self.postMessage({ type: 'progress', id, ...p }),
+      shouldStop: () => isCancelled(id),
+    });
+    self.postMessage({ type: 'result', id, result });
+  } catch (err) {
+    if (err && err.cancelled) self.postMessage({ type: 'cancelled', id });
+    else self.postMessage({ type: 'error', id, message: String(err && err.message || err), code: err && err.code });
+  } finally {
+    cancelledIds.delete(id);
+  }
+}
+
+self.onmessage = (e) => {
+  const msg = e.data || {};
+  if (msg.type === 'init') {
+    cancelFlags = msg.cancelFlags || null;
+    return;
+  }
+  if (msg.type === 'cancel') {
+    cancelledIds.add(msg.id);
+    return;
+  }
+  if (Object.prototype.hasOwnProperty.call(JOBS, msg.type)) {
+    queue = queue.then(() => runJob(msg.type, msg.id, msg.params));
+  }
+};
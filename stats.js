@@ -0,0 +1,156 @@
+'use strict';
+// stats.js — Lifetime per-player statistics aggregated from the history archive (history.js)
+// Inputs are archive entries: words come from entry.state.roundsData, per-row recalc fields (baseScore,
+// challengeDeductions, bonus flags, roundScore) from entry.roundScores. Skipped rounds are ignored.
+// Definitions:
+// - Games won: player is among entry.winners in a game that ended normally (abandoned games only count as played)
+// - Rounds / average: rounds the player submitted a row in
+// - Words: played chits only (no '-' penalty chits); word length is the plain spelling (digraphs = 2 letters)
+// - Challenges: as challenger, a challenge succeeds when the word was ruled invalid;
+//   as owner, a challenge against your word is defended when the word was ruled valid
+// Rendered as the Stats tab of the History modal.
+
+const STATS_TOP_WORDS = 5;
+
+function emptyPlayerStats(name) {
+  return {
+    name,
+    gamesPlayed: 0,
+    gamesWon: 0,
+    rounds: 0,
+    totalScore: 0,
+    bestRound: null,       // { score, roundNum, endedAt }
+    words: 0,
+    letters: 0,
+    challengesMade: 0,
+    challengesWon: 0,
+    challengedAgainst: 0,
+    challengesDefended: 0,
+    longestBonuses: 0,
+    mostWordsBonuses: 0,
+    wordCounts: Object.create(null),   // plain word -> times played
+    wordBest: Object.create(null),     // plain word -> { text, score }
+  };
+}
+
+// Aggregate archive entries into { [player]: stats } (player names as written in the games)
+function computePlayerStats(entries) {
+  const byPlayer = Object.create(null);
+  const get = name => (byPlayer[name] ||= emptyPlayerStats(name));
+
+  (entries || []).forEach(entry => {
+    const names = entry.players || [];
+    const finished = entry.endedBy !== 'reset';
+    names.forEach(p => {
+      const s = get(p);
+      s.gamesPlayed++;
+      if (finished && (entry.winners || []).includes(p)) s.gamesWon++;
+    });
+
+    (entry.state?.roundsData || []).forEach((round, i) => {
+      if (!round || round.skipped) return;
+      const sums = entry.roundScores?.[i]?.players || {};
+      const submitted = new Set(round.submittedPlayers || []);
+
+      names.forEach(p => {
+        const s = get(p);
+        const words = round.players?.[p] || [];
+        const sum = sums[p] || {};
+        if (submitted.has(p) || words.length) {
+          s.rounds++;
+          const rs = sum.roundScore || 0;
+          s.totalScore += rs;
+          if (!s.bestRound || rs > s.bestRound.score) s.bestRound = { score: rs, roundNum: round.roundNum, endedAt: entry.endedAt };
+        }
+        if (sum.gotLongestBonus) s.longestBonuses++;
+        if (sum.gotMostWordsBonus) s.mostWordsBonuses++;
+
+        words.forEach(w => {
+          const text = String(w.text || '');
+          if (!text || text.startsWith('-')) return;
+          const plain = plainWord(text);
+          s.words++;
+          s.letters += plain.length;
+          s.wordCounts[plain] = (s.wordCounts[plain] || 0) + 1;
+          if (!s.wordBest[plain] || w.score > s.wordBest[plain].score) s.wordBest[plain] = { text, score: w.score || 0 };
+          if (w.challenger) {
+            s.challengedAgainst++;
+            if (w.state === 'valid') s.challengesDefended++;
+            const c = names.includes(w.challenger) ? get(w.challenger) : null;
+            if (c) {
+              c.challengesMade++;
+              if (w.state === 'invalid') c.challengesWon++;
+            }
+          }
+        });
+      });
+    });
+  });
+
+  return byPlayer;
+}
+
+// Derived numbers and top-word lists for display
+function summarizePlayerStats(s) {
+  const ratio = (a, b) => (b ? a / b : null);
+  return {
+    ...s,
+    avgRoundScore: ratio(s.totalScore, s.rounds),
+    avgWordLength: ratio(s.letters, s.words),
+    challengeSuccessRate: ratio(s.challengesWon, s.challengesMade),
+    topWords: Object.entries(s.wordCounts)
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, STATS_TOP_WORDS)
+      .map(([word, count]) => ({ word, text: s.wordBest[word].text, count })),
+    bestWords: Object.entries(s.wordBest)
+      .sort((a, b) => b[1].score - a[1].score || a[0].localeCompare(b[0]))
+      .slice(0, STATS_TOP_WORDS)
+      .map(([word, best]) => ({ word, text: best.text, score: best.score })),
+  };
+}
+
+function renderStatsView(entries, query = '') {
+  const q = String(query || '').trim().toLowerCase();
+  const all = Object.values(computePlayerStats(entries)).map(summarizePlayerStats)
+    .sort((a, b) => b.gamesPlayed - a.gamesPlayed || a.name.localeCompare(b.name));
+  const shown = q ? all.filter(s => s.name.toLowerCase().includes(q)) : all;
+  if (!all.length) return '<div class="text-gray-500 italic py-4">No archived games yet. Stats appear once games are finished.</div>';
+  if (!shown.length) return `<div class="text-gray-500 italic py-4">No players match “${escapeHtml(query)}”.</div>`;
+
+  const fmt = (v, digits = 1) => (v == null ? '—' : v.toFixed(digits));
+  const pct = v => (v == null ? '—' : `${Math.round(v * 100)}%`);
+  const stat = (label, value, title = '') =>
+    `<div${title ? ` title="${escapeHtml(title)}"` : ''}><div class="text-xs text-gray-500">${label}</div><div class="font-semibold tabular-nums">${value}</div></div>`;
+  const wordList = (items, right) => items.length
+    ? `<ol class="list-decimal pl-5">${items.map(it => `<li><span class="font-mono">${escapeHtml(it.text.toUpperCase())}</span> <span class="text-gray-500">${right(it)}</span></li>`).join('')}</ol>`
+    : '<div class="text-gray-400 italic">—</div>';
+
+  return shown.map(s => `
+    <div class="border rounded-lg p-3 mb-3">
+      <div class="font-semibold text-base mb-2">${escapeHtml(s.name)}</div>
+      <div class="grid grid-cols-3 sm:grid-cols-5 gap-2">
+        ${stat('Games', s.gamesPlayed)}
+        ${stat('Won', `${s.gamesWon} (${pct(s.gamesPlayed ? s.gamesWon / s.gamesPlayed : null)})`)}
+        ${stat('Avg / round', fmt(s.avgRoundScore), `${s.totalScore} points over ${s.rounds} rounds`)}
+        ${stat('Best round', s.bestRound ? `${s.bestRound.score} <span class="text-xs text-gray-500 font-normal">(${s.bestRound.roundNum} cards)</span>` : '—')}
+        ${stat('Avg word length', fmt(s.avgWordLength), `${s.words} words played`)}
+        ${stat('Challenges won', `${s.challengesWon}/${s.challengesMade} (${pct(s.challengeSuccessRate)})`, 'Challenges this player made that ruled the word invalid')}
+        ${stat('Defended', `${s.challengesDefended}/${s.challengedAgainst}`, "Challenges against this player's words that ruled the word valid")}
+        ${stat('Longest word 🦒', s.longestBonuses)}
+        ${stat('Most words 🥒', s.mostWordsBonuses)}
+      </div>
+      <div class="grid sm:grid-cols-2 gap-3 mt-3">
+        <div><div class="text-xs text-gray-500 mb-1">Most played words</div>${wordList(s.topWords, it => `×${it.count}`)}</div>
+        <div><div class="text-xs text-gray-500 mb-1">Highest-scoring words</div>${wordList(s.bestWords, it => `${it.score} pts`)}</div>
+      </div>
+    </div>
+  `).join('');
+}
+
+if (typeof window !== 'undefined') {
+  window.QuiddlerStats = Object.assign({}, window.QuiddlerStats || {}, {
+    computePlayerStats,
+    summarizePlayerStats,
+    renderStatsView,
+  });
+}
@@ -0,0 +1,113 @@
+'use strict';
+// sw.js — Service worker for the offline-first app (registered by pwa.js)
+// - Install precaches the app shell (with the vendored libraries in vendor/) and the data files into one
+//   versioned cache. Bump APP_VERSION whenever any file ships: the new worker then installs alongside the old one,
+//   pwa.js offers to reload, and activation drops the old caches.
+// - Fetch: same-origin GETs are cache-first (misses are cached as they are fetched) and served cross-origin
+//   isolated (see isolate); everything else, such as the online dictionaries, goes to the network untouched
+//   (dictionary_cache.js keeps their answers).
+// - A waiting worker takes over only when the page asks ({ type: 'SKIP_WAITING' }), so a game in progress never
+//   switches versions mid-round.
+
+const APP_VERSION = '2026-10-19.2';
+const CACHE_PREFIX = 'quiddler-';
+const CACHE_NAME = `${CACHE_PREFIX}${APP_VERSION}`;
+
+// Required: install fails without them (pwa.js then reports the app as not available offline)
+const APP_SHELL = [
+  './',
+  'index.html',
+  'manifest.webmanifest',
+  'icon.svg',
+  'book-open.svg',
+  'cog-6-tooth.svg',
+  'pwa.js',
+  'card_scores.js',
+  'decks.js',
+  'rules.js',
+  'word_lists.js',
+  'house_words.js',
+  'collins_parsing.js',
+  'dictionary_providers.js',
+  'dictionary_cache.js',
+  'dictionary_api.js',
+  'scoring.js',
+  'render.js',
+  'optimizer.js',
+  'advisor.js',
+  'game.js',
+  'history.js',
+  'stats.js',
+  'tools_drawer.js',
+  'solver_worker.js',
+  'vendor/tailwind.css',
+  'vendor/popper.min.js',
+  'vendor/tippy-bundle.umd.min.js',
+  'vendor/tippy-scale.css',
+  'vendor/wink-lemmatizer.js',
+];
+// Required deployed data files: the app cannot check words or filter the solver without them
+const DATA_FILES = [
+  'collins_dictionary.js',
+  'common_lemmas.js',
+];
+// Optional data files: one that is missing is skipped (and cached on first use if it appears)
+const OPTIONAL_FILES = [
+  'na_words.txt',
+  'dictionary_fixture.json',
+];
+
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.addAll([...APP_SHELL, ...DATA_FILES]);
+    await Promise.all(OPTIONAL_FILES.map(url => cache.add(url).catch(e => console.warn(`Not cached for offline use: ${url}`, e))));
+  })());
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(n => n.startsWith(CACHE_PREFIX) && n !== CACHE_NAME).map(n => caches.delete(n)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', event => {
+  const req = event.request;
+  if (req.method !== 'GET') return;
+  if (new URL(req.url).origin !== self.location.origin) return;
+  event.respondWith(cacheFirst(req).then(isolate));
+});
+
+// Cross-origin isolation (COOP + COEP) lets the page share memory with the solver worker, whose search then polls
+// a cancel flag instead of being terminated (optimizer.js cancelSolve). 'credentialless' still lets cross-origin
+// requests without CORS headers through, such as the online dictionaries' pronunciation audio.
+function isolate(res) {
+  if (!res || res.type === 'opaque' || res.status === 0) return res;
+  const headers = new Headers(res.headers);
+  headers.set('Cross-Origin-Opener-Policy', 'same-origin');
+  headers.set('Cross-Origin-Embedder-Policy', 'credentialless');
+  return new Response(res.body, { status: res.status, statusText: res.statusText, headers });
+}
+
+async function cacheFirst(req) {
+  const cache = await caches.open(CACHE_NAME);
+  const navigate = req.mode === 'navigate';
+  // The app is one page: any query string (or none) opens the cached index.html
+  const hit = await cache.match(req, { ignoreSearch: navigate });
+  if (hit) return hit;
+  try {
+    const res = await fetch(req);
+    if (res.ok) cache.put(req, res.clone());
+    return res;
+  } catch (e) {
+    const shell = navigate ? await cache.match('index.html') : null;
+    if (shell) return shell;
+    throw e;
+  }
+}
@@ -2,8 +2,10 @@
 // Responsibilities:
 // - Manage drawer open/close with backdrop and ESC
 // - Switch between Dictionary and Play Helper tabs
-// - Dictionary: render local definition immediately, fetch online definition async
-// - Play Helper: gather options and call QuiddlerSolver.optimize, then render via QuiddlerRender
+// - Dictionary: render local definition immediately, fetch online definition async; show and edit house
+//   rulings (house_words.js)
+// - Play Helper: gather options and run QuiddlerSolver.startSolve (worker), showing progress + Cancel,
+//   then render via QuiddlerRender
 // - Expose a small API on window.QuiddlerTools for other modules
 
 function initToolsDrawer(){
@@ -153,6 +155,8 @@ function initToolsDrawer(){
       // Clear persisted key when user empties input intentionally
       try { if (!raw) localStorage.removeItem(LAST_DICT_WORD_KEY); } catch(_){ }
       localWrap?.classList.add('hidden');
+      document.getElementById('dictListStatus')?.classList.add('hidden');
+      renderHouseRuling('');
       onlineWrap?.classList.add('hidden');
       loadingEl?.classList.add('hidden');
       if (emptyHint) emptyHint.classList.remove('hidden');
@@ -162,6 +166,11 @@ function initToolsDrawer(){
     try { localStorage.setItem(LAST_DICT_WORD_KEY, cleaned); } catch(_){ }
     if (emptyHint) emptyHint.classList.add('hidden');
 
+    renderHouseRuling(cleaned);
+    renderWordListStatus(cleaned);
+    const houseInput = document.getElementById('houseWordInput');
+    if (houseInput && document.activeElement !== houseInput) houseInput.value = cleaned.toLowerCase();
+
     // Local dictionary (always show block, with fallback text)
     const localRaw = getWordDefinitionLocal(cleaned);
     if (localWrap && localEl) {
@@ -188,9 +197,9 @@ function initToolsDrawer(){
     if (onlineEl) onlineEl.innerHTML = '';
     loadingEl?.classList.remove('hidden');
     try {
-      const { found, error, data } = await getWordDefinitionAPI(cleaned);
-      if (!error && found && data) {
-        renderOnlineDict(word, data, { senseLimit: 3 });
+      const { found, error, data, entries } = await getWordDefinitionAPI(cleaned);
+      if (!error && found && (data || entries)) {
+        renderOnlineDict(word, data, { senseLimit: 3, entries });
         // renderOnlineDict will unhide wrapper; ensure visible
         onlineWrap?.classList.remove('hidden');
       } else {
@@ -208,6 +217,229 @@ function initToolsDrawer(){
 
   async function doLookup(){ await renderDefinition(dictInput.value); }
 
+  // Validity in the game's word list (loads a lazy list first; ignores results for an outdated lookup)
+  async function renderWordListStatus(word) {
+    const el = document.getElementById('dictListStatus');
+    if (!el) return;
+    const list = activeWordList();
+    el.classList.remove('hidden');
+    el.innerHTML = `<span class="text-gray-500">Checking ${escapeHtml(list.name)}…</span>`;
+    try {
+      await loadWordList(list);
+    } catch (e) {
+      if (plainWord(dictInput.value || '') === word) el.innerHTML = `<span class="text-red-600">${escapeHtml(e.message)}</span>`;
+      return;
+    }
+    if (plainWord(dictInput.value || '') !== word) return;
+    // Game rules can exclude Collins words whose every sense carries certain qualifiers
+    const quals = (typeof rules === 'object' && rules) ? rules.excludeQualifiers : [];
+    const excludedBy = list.id === STANDARD_WORD_LIST_ID && wordListHas(word.toUpperCase(), list) ? qualifierExclusion(word, quals) : null;
+    if (excludedBy) {
+      el.innerHTML = `<span class="text-red-700">✗ Excluded in this game: every Collins sense is marked ${escapeHtml(excludedBy.map(q => `(${q})`).join(' or '))}</span>`;
+      return;
+    }
+    el.innerHTML = wordListHas(word.toUpperCase(), list)
+      ? `<span class="text-emerald-700">✓ Valid in ${escapeHtml(list.name)}</span>`
+      : `<span class="text-red-700">✗ Not in ${escapeHtml(list.name)}</span>`;
+  }
+
+  // ===== House word list =====
+  function renderHouseRuling(word) {
+    const wrap = document.getElementById('dictHouseWrap');
+    const el = document.getElementById('dictHouse');
+    const entry = word ? houseRuling(word) : null;
+    wrap?.classList.toggle('hidden', !entry);
+    if (!el || !entry) return;
+    const verdict = entry.ruling === 'allow'
+      ? '<span class="font-semibold text-emerald-700">Allowed</span> by house ruling'
+      : '<span class="font-semibold text-red-700">Banned</span> by house ruling';
+    el.innerHTML = `${verdict}${entry.note ? ` — ${escapeHtml(entry.note)}` : ''}`;
+  }
+
+  function setHouseMsg(text, isError = false) {
+    const el = document.getElementById('houseWordMsg');
+    if (!el) return;
+    el.textContent = text || '';
+    el.classList.toggle('text-red-600', !!isError);
+    el.classList.toggle('text-gray-500', !isError);
+  }
+
+  function renderHouseWordList() {
+    const list = document.getElementById('houseWordList');
+    const entries = listHouseWords();
+    const count = document.getElementById('houseWordCount');
+    if (count) count.textContent = entries.length ? `(${entries.length})` : '';
+    if (!list) return;
+    list.innerHTML = entries.length ? entries.map(e => `
+      <li class="flex items-center gap-2 py-1">
+        <button type="button" data-house-lookup="${e.word}" class="font-mono text-blue-700 hover:underline">${e.word.toLowerCase()}</button>
+        <span class="text-xs rounded px-1 ${e.ruling === 'allow' ? 'bg-emerald-100 text-emerald-800' : 'bg-red-100 text-red-800'}">${e.ruling === 'allow' ? 'allowed' : 'banned'}</span>
+        <span class="flex-1 min-w-0 truncate text-gray-600" title="${escapeHtml(e.note)}">${escapeHtml(e.note)}</span>
+        <button type="button" data-house-remove="${e.word}" class="text-gray-400 hover:text-red-600" title="Remove ruling">✕</button>
+      </li>`).join('') : '<li class="py-1 text-gray-500">No house rulings yet.</li>';
+  }
+
+  function onHouseListChanged() {
+    renderHouseWordList();
+    renderHouseRuling(plainWord(dictInput.value || ''));
+  }
+
+  document.getElementById('houseWordAdd')?.addEventListener('click', () => {
+    const word = document.getElementById('houseWordInput')?.value || '';
+    const ruling = document.getElementById('houseWordRuling')?.value || 'allow';
+    const noteEl = document.getElementById('houseWordNote');
+    try {
+      const entry = setHouseWord(word, ruling, noteEl?.value || '');
+      if (noteEl) noteEl.value = '';
+      setHouseMsg(`${entry.word.toLowerCase()} is now ${entry.ruling === 'allow' ? 'allowed' : 'banned'}.`);
+      onHouseListChanged();
+    } catch (err) {
+      setHouseMsg(String(err.message || err), true);
+    }
+  });
+  ['houseWordInput', 'houseWordNote'].forEach(id => document.getElementById(id)?.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') { e.preventDefault(); document.getElementById('houseWordAdd')?.click(); }
+  }));
+  document.getElementById('houseWordList')?.addEventListener('click', (e) => {
+    const lookup = e.target.closest('[data-house-lookup]');
+    if (lookup) {
+      dictInput.value = lookup.getAttribute('data-house-lookup').toLowerCase();
+      doLookup();
+      return;
+    }
+    const remove = e.target.closest('[data-house-remove]');
+    if (!remove) return;
+    const word = remove.getAttribute('data-house-remove');
+    if (removeHouseWord(word)) setHouseMsg(`Removed the ruling on ${word.toLowerCase()}.`);
+    onHouseListChanged();
+  });
+  renderHouseWordList();
+
+  // ===== Online dictionary provider =====
+  function setProviderMsg(text, isError = false) {
+    const el = document.getElementById('dictProviderMsg');
+    if (!el) return;
+    el.textContent = text || '';
+    el.classList.toggle('text-red-600', !!isError);
+    el.classList.toggle('text-gray-500', !isError);
+  }
+
+  function renderDictProviders() {
+    const active = activeDictionaryProvider();
+    const sel = document.getElementById('dictProviderSelect');
+    if (sel) {
+      sel.innerHTML = listDictionaryProviders().map(p =>
+        `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)}${p.builtIn ? '' : ` · ${escapeHtml(DICTIONARY_FORMATS[p.format].label)}`}</option>`
+      ).join('');
+      sel.value = active.id;
+    }
+    const format = document.getElementById('dictProviderFormat');
+    if (format && !format.options.length) {
+      format.innerHTML = Object.entries(DICTIONARY_FORMATS).map(([id, f]) => `<option value="${id}">${escapeHtml(f.label)}</option>`).join('');
+    }
+    document.getElementById('dictProviderDelete')?.classList.toggle('hidden', active.builtIn);
+    document.querySelectorAll('.dict-provider-name').forEach(el => { el.textContent = active.name; });
+  }
+
+  function onProviderChanged() {
+    renderDictProviders();
+    if (dictInput.value.trim()) doLookup();
+  }
+
+  document.getElementById('dictProviderSelect')?.addEventListener('change', (e) => {
+    const provider = setActiveDictionaryProvider(e.target.value);
+    setProviderMsg(provider.format === 'json' ? `${provider.name} reads ${provider.url}.` : '');
+    onProviderChanged();
+  });
+  document.getElementById('dictProviderAdd')?.addEventListener('click', () => {
+    const nameEl = document.getElementById('dictProviderName');
+    const urlEl = document.getElementById('dictProviderUrl');
+    try {
+      const provider = registerDictionaryProvider({
+        name: nameEl?.value,
+        url: urlEl?.value,
+        format: document.getElementById('dictProviderFormat')?.value,
+      });
+      setActiveDictionaryProvider(provider.id);
+      if (nameEl) nameEl.value = '';
+      if (urlEl) urlEl.value = '';
+      setProviderMsg(`Added ${provider.name}; it is now the online dictionary.`);
+      onProviderChanged();
+    } catch (err) {
+      setProviderMsg(String(err.message || err), true);
+    }
+  });
+  document.getElementById('dictProviderDelete')?.addEventListener('click', () => {
+    const provider = activeDictionaryProvider();
+    if (provider.builtIn || !confirm(`Delete the dictionary "${provider.name}"?`)) return;
+    removeDictionaryProvider(provider.id);
+    setProviderMsg(`Deleted ${provider.name}.`);
+    onProviderChanged();
+  });
+  renderDictProviders();
+
+  // ===== Online dictionary cache =====
+  function setCacheMsg(text, isError = false) {
+    const el = document.getElementById('dictCacheMsg');
+    if (!el) return;
+    el.textContent = text || '';
+    el.classList.toggle('text-red-600', !!isError);
+    el.classList.toggle('text-gray-500', !isError);
+  }
+
+  function formatBytes(n) {
+    return n < 1024 ? `${n} B` : n < 1024 * 1024 ? `${(n / 1024).toFixed(1)} KB` : `${(n / 1024 / 1024).toFixed(1)} MB`;
+  }
+
+  async function renderDictCacheStats() {
+    const el = document.getElementById('dictCacheStats');
+    if (!el) return;
+    const st = await dictCacheStats();
+    if (st.storage !== 'indexedDB') {
+      el.textContent = 'This browser has no IndexedDB: only word validity is cached (no definitions, no export).';
+      return;
+    }
+    const rate = st.hitRate == null ? 'no lookups yet' : `${Math.round(st.hitRate * 100)}% hit rate (${st.hits} of ${st.hits + st.misses} this session)`;
+    el.textContent = `${st.entries} words (${st.positives} found, ${st.negatives} not found; ${st.withDefinitions} with definitions), ` +
+      `${formatBytes(st.bytes)} of ${formatBytes(st.maxBytes)} · ${rate}`;
+  }
+
+  document.getElementById('dictCachePanel')?.addEventListener('toggle', (e) => { if (e.target.open) renderDictCacheStats(); });
+  document.getElementById('dictCacheExport')?.addEventListener('click', async () => {
+    const payload = await dictCacheExportPayload();
+    if (!payload.records.length) { setCacheMsg('The cache is empty.', true); return; }
+    const blob = new Blob([JSON.stringify(payload)], { type: 'application/json' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = `quiddler-dictionary-cache-${payload.exportedAt.slice(0, 10)}.json`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(a.href), 0);
+    setCacheMsg(`Exported ${payload.records.length} words.`);
+  });
+  document.getElementById('dictCacheImport')?.addEventListener('click', () => document.getElementById('dictCacheFile')?.click());
+  document.getElementById('dictCacheFile')?.addEventListener('change', async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = ''; // allow re-importing the same file
+    if (!file) return;
+    try {
+      const records = await importDictCachePayload(JSON.parse(await file.text()));
+      records.forEach(r => setFDStatus(r.key, r.valid));
+      setCacheMsg(`Imported ${records.length} word${records.length === 1 ? '' : 's'} (newer entries already here were kept).`);
+    } catch (err) {
+      setCacheMsg(err instanceof SyntaxError ? `"${file.name}" is not valid JSON.` : String(err.message || err), true);
+    }
+    renderDictCacheStats();
+  });
+  document.getElementById('dictCacheClear')?.addEventListener('click', async () => {
+    if (!confirm('Clear the dictionary cache? Online lookups will be fetched again.')) return;
+    clearFDCache();
+    await clearDictCache();
+    setCacheMsg('Cleared.');
+    renderDictCacheStats();
+  });
+
   // If an older cached HTML still has the button, keep this safe-guarded listener
   const dictGo = document.getElementById('dictGo');
   if (dictGo) dictGo.addEventListener('click', doLookup);
@@ -246,6 +478,7 @@ function initToolsDrawer(){
   // ===== Play Helper =====
   const tilesInput        = document.getElementById('tilesInput');
   const optNoDiscard      = document.getElementById('optNoDiscard');
+  const optGoOut          = document.getElementById('optGoOut');
   const optCommonOnly     = document.getElementById('optCommonOnly');
   const optCommonOverride = document.getElementById('optCommonOverride');
   const optZipf           = document.getElementById('optZipf');
@@ -253,6 +486,7 @@ function initToolsDrawer(){
   const optCurrentLongest = document.getElementById('optCurrentLongest');
   const optCurrentMost    = document.getElementById('optCurrentMost');
   const playGo            = document.getElementById('playGo');
+  const playCancel        = document.getElementById('playCancel');
   const playStatus        = document.getElementById('playStatus');
   const playResult        = document.getElementById('playResult');
   const optApiFilter      = document.getElementById('optApiFilter'); // RENAMED
@@ -302,7 +536,30 @@ function initToolsDrawer(){
 
   function cleanInt(el){ const n = Number(el.value); return Number.isFinite(n) && n >= 0 ? Math.floor(n) : 0; }
 
+  // How many ranked plays to ask the solver for (best + alternatives)
+  const SOLVER_TOP_N = 10;
+
+  // In-flight solver run ({ promise, cancel }) so Cancel / a new Solve can stop it
+  let activeSolve = null;
+
+  function setSolving(on) {
+    playCancel?.classList.toggle('hidden', !on);
+  }
+
+  function formatSolveProgress(p) {
+    if (!p) return 'Searching…';
+    if (p.phase === 'trie') return 'Loading word list…';
+    if (p.phase === 'candidates') return `Searching ${p.candidates.toLocaleString()} candidate words…`;
+    if (p.phase === 'goOut') return 'Checking go-out plays…';
+    if (p.phase === 'search') {
+      const best = (p.best != null) ? `, best so far ${p.best}` : '';
+      return `Searching… ${p.nodes.toLocaleString()} combinations checked${best}`;
+    }
+    return 'Searching…';
+  }
+
   playGo.addEventListener('click', onFindBestPlay);
+  playCancel?.addEventListener('click', () => activeSolve?.cancel());
   // Pressing Enter in the tiles input triggers Solve
   tilesInput.addEventListener('keydown', (e) => {
     if (e.key === 'Enter') {
@@ -321,25 +578,112 @@ function initToolsDrawer(){
     const currentLongest = cleanInt(optCurrentLongest);
     const currentMost    = cleanInt(optCurrentMost);
     const apiFilter      = !!optApiFilter?.checked; // RENAMED
+    const goOutMode      = !!optGoOut?.checked;
+
+    // A new Solve supersedes any run still in progress
+    activeSolve?.cancel();
 
     playStatus.textContent = 'Searching…';
     playResult.classList.remove('hidden');
     playResult.innerHTML = '';
 
+    const run = window.QuiddlerSolver.startSolve(
+      { tiles, noDiscard, commonOnly, override2and3, minZipF, currentLongest, currentMost, apiFilter, topN: SOLVER_TOP_N, goOutMode },
+      { onProgress: (p) => { if (activeSolve === run) playStatus.textContent = formatSolveProgress(p); } }
+    );
+    activeSolve = run;
+    setSolving(true);
+
     try {
-      const result = await window.QuiddlerSolver.optimize({ tiles, noDiscard, commonOnly, override2and3, minZipF, currentLongest, currentMost, apiFilter });
+      const result = await run.promise;
+      if (activeSolve !== run) return; // superseded
 
       playStatus.textContent = '';
 
       if (result && Array.isArray(result.words) && result.words.length > 0) {
         window.QuiddlerRender.renderOptimizedPlayFromResult('playResult', result);
       } else {
-        playResult.innerHTML = '<div class="text-sm text-gray-500">No playable words found.</div>';
+        playResult.innerHTML = '<div class="text-sm text-gray-500">No playable words found.</div>'
+          + (result?.goOut ? window.QuiddlerRender.renderGoOutVerdict(result) : '');
       }
     } catch (err) {
-      console.error(err);
+      if (activeSolve !== run) return; // superseded
+      if (err && err.cancelled) {
+        playStatus.textContent = 'Cancelled';
+        playResult.classList.add('hidden');
+        return;
+      }
       playStatus.textContent = '';
+      if (err && err.code === 'IMPOSSIBLE_RACK') {
+        playResult.innerHTML = `<div class="text-sm text-red-600">${escapeHtml(err.message)}</div>`;
+        return;
+      }
+      console.error(err);
       playResult.innerHTML = '<div class="text-sm text-red-600">Error computing best play.</div>';
+    } finally {
+      if (activeSolve === run) { activeSolve = null; setSolving(false); }
+    }
+  }
+
+  // ===== Draw advisor =====
+  const advFaceUp   = document.getElementById('advFaceUp');
+  const advDiscards = document.getElementById('advDiscards');
+  const advGo       = document.getElementById('advGo');
+  const advCancel   = document.getElementById('advCancel');
+  const advStatus   = document.getElementById('advStatus');
+  const advResult   = document.getElementById('advResult');
+  let activeAdvise = null;
+
+  advGo?.addEventListener('click', onAdvise);
+  advCancel?.addEventListener('click', () => activeAdvise?.cancel());
+  [advFaceUp, advDiscards].forEach(el => el?.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') { e.preventDefault(); onAdvise(); }
+  }));
+
+  async function onAdvise() {
+    // Same hand + solver options as Solve; discard is chosen per option, so "Do not discard" does not apply
+    const commonOnly = !!optCommonOnly.checked;
+    const params = {
+      rack: tilesInput.value.trim().replace(/[, -]+/g, ''),
+      faceUp: (advFaceUp?.value || '').trim(),
+      knownDiscards: (advDiscards?.value || '').replace(/[, -]+/g, ''),
+      commonOnly,
+      override2and3: commonOnly ? !!optCommonOverride.checked : false,
+      minZipF: commonOnly ? Number(optZipf.value) : 0,
+      currentLongest: cleanInt(optCurrentLongest),
+      currentMost: cleanInt(optCurrentMost),
+    };
+
+    activeAdvise?.cancel();
+    advStatus.textContent = 'Evaluating…';
+    advResult.classList.remove('hidden');
+    advResult.innerHTML = '';
+
+    const run = window.QuiddlerSolver.startAdvise(params, {
+      onProgress: (p) => {
+        if (activeAdvise !== run) return;
+        advStatus.textContent = (p.phase === 'advise') ? `Evaluating… ${p.done}/${p.total}` : formatSolveProgress(p);
+      }
+    });
+    activeAdvise = run;
+    advCancel?.classList.remove('hidden');
+
+    try {
+      const advice = await run.promise;
+      if (activeAdvise !== run) return; // superseded
+      advStatus.textContent = '';
+      window.QuiddlerRender.renderDrawAdviceFromResult('advResult', advice);
+    } catch (err) {
+      if (activeAdvise !== run) return; // superseded
+      if (err && err.cancelled) {
+        advStatus.textContent = 'Cancelled';
+        advResult.classList.add('hidden');
+        return;
+      }
+      advStatus.textContent = '';
+      advResult.innerHTML = `<div class="text-sm text-red-600">${escapeHtml(err?.message || 'Error computing advice.')}</div>`;
+    } finally {
+      if (activeAdvise === run) { activeAdvise = null; advCancel?.classList.add('hidden'); }
     }
   }
 
@@ -0,0 +1,173 @@
+'use strict';
+// word_lists.js — Registry of word lists (what challenges, the solver and the Dictionary tab validate against)
+// - Built-in: 'collins' (collins_dictionary.js validWordsMap, the only list with definitions) and 'na', a North
+//   American (TWL-style) list read from na_words.txt, an optional data file deployed next to
+//   collins_dictionary.js (not in the repo, see README; game.js offers the list only once the file loads).
+// - Custom lists are uploaded as text files (one word per line, '#' starts a comment) and persisted in
+//   localStorage.
+// - One list is active per game (game.js sets it at start/restore). Lists other than Collins load lazily:
+//   await loadWordList(list) before validating; wordListHas is synchronous and false until the list is loaded.
+// - The solver worker receives wordListRef(list) with every job (optimizer.solverDefaults), resolves it with
+//   wordListFromRef and keeps one trie per list.
+//
+// List shape: { id, name, builtIn, source: 'collins' | 'url' | 'custom', url?, words: Set | null, loadError,
+//   version? } — custom lists carry a hash of their words, so a list re-uploaded under the same name is a new version
+//   (the worker replaces its copy and the optimizer rebuilds the trie).
+
+const CUSTOM_WORD_LISTS_STORAGE_KEY = 'quiddlerCustomWordListsV1';
+const STANDARD_WORD_LIST_ID = 'collins';
+
+const WORD_LISTS = new Map();
+[
+  { id: STANDARD_WORD_LIST_ID, name: 'Collins (2019)', source: 'collins' },
+  { id: 'na', name: 'North American (TWL-style)', source: 'url', url: 'na_words.txt' },
+].forEach(l => WORD_LISTS.set(l.id, { ...l, builtIn: true, words: null, loadError: null }));
+
+let activeWordListRef = WORD_LISTS.get(STANDARD_WORD_LIST_ID);
+
+// One word per line → unique upper-case words. Lines with anything but letters are skipped and counted.
+function parseWordListText(text) {
+  const words = new Set();
+  let skipped = 0;
+  String(text || '').split(/\r?\n/).forEach(line => {
+    const w = line.replace(/#.*/, '').trim();
+    if (!w) return;
+    if (!/^\p{L}+$/u.test(w)) { skipped++; return; }
+    words.add(w.toUpperCase());
+  });
+  return { words, skipped };
+}
+
+function getWordList(id) {
+  return WORD_LISTS.get(id) || null;
+}
+function listWordLists() {
+  return Array.from(WORD_LISTS.values());
+}
+function activeWordList() {
+  return activeWordListRef;
+}
+// Unknown ids fall back to Collins. Returns the active list.
+function setActiveWordList(id) {
+  activeWordListRef = getWordList(id) || WORD_LISTS.get(STANDARD_WORD_LIST_ID);
+  return activeWordListRef;
+}
+
+function isWordListLoaded(list = activeWordListRef) {
+  return list.source === 'collins' ? typeof validWordsMap !== 'undefined' : !!list.words;
+}
+
+// Load a list's words (once). Resolves with the list; rejects with a user-facing message.
+async function loadWordList(list = activeWordListRef) {
+  if (isWordListLoaded(list)) return list;
+  if (list.source !== 'url') throw new Error(`The word list "${list.name}" is not available.`);
+  list.pending ??= (async () => {
+    try {
+      const res = await fetch(list.url);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      list.words = parseWordListText(await res.text()).words;
+      list.loadError = null;
+      return list;
+    } catch (e) {
+      list.loadError = `Could not load the word list "${list.name}" (${list.url}).`;
+      throw new Error(list.loadError);
+    } finally {
+      list.pending = null;
+    }
+  })();
+  return list.pending;
+}
+
+// Is the plain upper-case word in the list? (false while the list is not loaded)
+function wordListHas(plain, list = activeWordListRef) {
+  if (list.source === 'collins') return !!(typeof validWordsMap !== 'undefined' && validWordsMap[plain]);
+  return !!(list.words && list.words.has(plain));
+}
+function wordListWords(list = activeWordListRef) {
+  if (list.source === 'collins') return typeof validWordsMap !== 'undefined' ? Object.keys(validWordsMap) : [];
+  return list.words ? Array.from(list.words) : [];
+}
+
+function customWordList(id, name, words) {
+  return { id, name, source: 'custom', builtIn: false, words, loadError: null, version: fnv1aHash(Array.from(words).join('\n')) };
+}
+
+// What a solver job carries: built-in lists by id, custom lists with their words and version (the worker has no
+// storage)
+function wordListRef(list = activeWordListRef) {
+  const ref = { id: list.id, name: list.name };
+  if (list.source === 'custom') Object.assign(ref, { version: list.version, words: Array.from(list.words) });
+  return ref;
+}
+// The list for a job's ref, registering a custom list the first time it is seen, or again when its version
+// changed (worker side)
+function wordListFromRef(ref) {
+  if (!ref) return activeWordListRef;
+  const known = getWordList(ref.id);
+  if (known && (known.source !== 'custom' || !ref.words || known.version === ref.version)) return known;
+  if (!ref.words) return WORD_LISTS.get(STANDARD_WORD_LIST_ID);
+  const list = customWordList(ref.id, ref.name || ref.id, new Set(ref.words));
+  WORD_LISTS.set(list.id, list);
+  return list;
+}
+
+// ---------- Custom word lists (persisted) ----------
+function loadCustomWordLists() {
+  if (typeof localStorage === 'undefined') return;
+  try {
+    const list = JSON.parse(localStorage.getItem(CUSTOM_WORD_LISTS_STORAGE_KEY) || '[]');
+    (Array.isArray(list) ? list : []).forEach(l => {
+      if (!l || !l.id || WORD_LISTS.get(l.id)?.builtIn) return;
+      const { words } = parseWordListText(l.text);
+      if (words.size) WORD_LISTS.set(l.id, customWordList(l.id, String(l.name || l.id), words));
+    });
+  } catch (e) {
+    console.warn('Custom word list load failed', e);
+  }
+}
+// Returns false when storage is full (the lists still work until the page is closed)
+function persistCustomWordLists() {
+  if (typeof localStorage === 'undefined') return false;
+  try {
+    const lists = listWordLists().filter(l => !l.builtIn).map(l => ({ id: l.id, name: l.name, text: Array.from(l.words).join('\n') }));
+    localStorage.setItem(CUSTOM_WORD_LISTS_STORAGE_KEY, JSON.stringify(lists));
+    return true;
+  } catch {
+    return false;
+  }
+}
+// Add or replace a custom list from a text file's contents. Throws Error with a user-facing message.
+// Returns { list, skipped, stored }.
+function registerWordList(name, text) {
+  const label = String(name || '').trim();
+  if (!label) throw new Error('Give the word list a name.');
+  const id = customEntryId(label);
+  const { words, skipped } = parseWordListText(text);
+  if (!words.size) throw new Error('The file has no words (one word per line, letters only).');
+  const list = customWordList(id, label, words);
+  WORD_LISTS.set(id, list);
+  return { list, skipped, stored: persistCustomWordLists() };
+}
+function removeWordList(id) {
+  const list = WORD_LISTS.get(id);
+  if (!list || list.builtIn) return false;
+  WORD_LISTS.delete(id);
+  if (activeWordListRef === list) activeWordListRef = WORD_LISTS.get(STANDARD_WORD_LIST_ID);
+  persistCustomWordLists();
+  return true;
+}
+
+loadCustomWordLists();
+
+if (typeof window !== 'undefined') {
+  window.QuiddlerData = Object.assign({}, window.QuiddlerData || {}, {
+    getWordList,
+    listWordLists,
+    activeWordList,
+    setActiveWordList,
+    loadWordList,
+    wordListHas,
+    registerWordList,
+    removeWordList,
+  });
+}